@@ -3,6 +3,14 @@ const express = require('express');
 const cors = require('cors');
 
 const app = express();
+
+// Behind a proxy / load balancer req.ip is the proxy's address (one shared IP for every
+// client) unless this matches the deployment: a hop count, "loopback", subnets, or "true"
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -11,14 +19,42 @@ const authRoutes = require('./routes/auth');
 const bucketRoutes = require('./routes/buckets');
 const userRoutes = require('./routes/users');
 const serviceRoutes = require('./routes/services')
+const appointmentRoutes = require('./routes/appointments');
+const scheduleRoutes = require('./routes/schedules');
+const recordRoutes = require('./routes/records');
+const installmentRoutes = require('./routes/installments');
+const paymentRoutes = require('./routes/payments');
+const activityLogRoutes = require('./routes/activityLogs');
+const notificationRoutes = require('./routes/notifications');
+const medicalRoutes = require('./routes/medical');
+const chartRoutes = require('./routes/chart');
+const treatmentPlanRoutes = require('./routes/treatmentPlans');
+const { startPushWorker } = require('./utils/push');
+const { startPriceScheduler } = require('./utils/pricing');
 
 app.use('/auth', authRoutes);
 app.use('/buckets', bucketRoutes);
 app.use('/users', userRoutes);
 app.use('/services',serviceRoutes);
+app.use('/appointments', appointmentRoutes);
+app.use('/schedules', scheduleRoutes);
+app.use('/records', recordRoutes);
+app.use('/installments', installmentRoutes);
+app.use('/payments', paymentRoutes);
+app.use('/activity-logs', activityLogRoutes);
+app.use('/notifications', notificationRoutes);
+app.use('/medical', medicalRoutes);
+app.use('/chart', chartRoutes);
+app.use('/treatment-plans', treatmentPlanRoutes);
 
 // start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
+
+// retry queued push notifications
+startPushWorker();
+
+// apply scheduled service price changes
+startPriceScheduler();
@@ -0,0 +1,98 @@
+const jwt = require('jsonwebtoken');
+
+// What each role may do; routes declare permissions instead of hard-coding roles
+const PERMISSIONS = {
+  'users:manage': ['admin'],
+  'services:manage': ['admin'],
+  'appointments:manage': ['dentist', 'admin'],
+  'schedules:manage': ['dentist', 'admin'],
+  'schedules:holidays': ['admin'],
+  'records:write': ['dentist', 'admin'],
+  'installments:collect': ['dentist', 'admin'],
+  'payments:record': ['dentist', 'admin'],
+  'payments:adjust': ['admin'],
+  'activity-logs:read': ['admin'],
+  'activity-logs:undo': ['admin'],
+  'notifications:send': ['admin'],
+  'models:upload': ['dentist', 'admin'],
+  'treatment-plans:write': ['dentist', 'admin']
+};
+
+const ROLES = ['patient', 'dentist', 'admin'];
+
+// Verify the JWT from /auth/website/login or /auth/app/login
+const authenticate = (req, res, next) => {
+  try {
+    const rawHeader = req.headers.authorization;
+    const token = rawHeader?.split(" ")[1];
+
+    if (!token) return res.status(401).json({ message: "No token" });
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!ROLES.includes(decoded.usertype)) {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+
+    req.user = decoded;
+    req.token = token; // save token
+    next();
+  } catch (err) {
+    console.error("authenticate error:", err.message);
+    return res.status(401).json({ message: "Invalid token" });
+  }
+};
+
+const hasPermission = (user, permission) => (PERMISSIONS[permission] || []).includes(user?.usertype);
+
+const roleMessage = (roles) => {
+  if (roles.length === 0) return "Access denied";
+
+  const names = roles.map(r => `${r.charAt(0).toUpperCase()}${r.slice(1)}s`);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1].toLowerCase()} only`
+    : `${names[0]} only`;
+};
+
+// Logged in AND one of the roles
+const requireRole = (...roles) => [
+  authenticate,
+  (req, res, next) => {
+    if (!roles.includes(req.user.usertype)) {
+      return res.status(403).json({ message: roleMessage(roles) });
+    }
+    next();
+  }
+];
+
+// Logged in AND the role has the permission
+const requirePermission = (permission) => [
+  authenticate,
+  (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ message: roleMessage(PERMISSIONS[permission] || []) });
+    }
+    next();
+  }
+];
+
+// Logged in AND either the user named by req.params[param] or one of the roles
+// e.g. requireSelfOrRole('patientId', 'admin') → a patient can only read their own data
+const requireSelfOrRole = (param, ...roles) => [
+  authenticate,
+  (req, res, next) => {
+    if (req.user.id === req.params[param] || roles.includes(req.user.usertype)) {
+      return next();
+    }
+    return res.status(403).json({ message: "Access denied" });
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  authenticate,
+  hasPermission,
+  requireRole,
+  requirePermission,
+  requireSelfOrRole
+};
@@ -0,0 +1,326 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { requirePermission } = require('../middleware/auth');
+const { toCsv } = require('../utils/csv');
+const {
+  softDeleteService,
+  restoreService,
+  softDeleteCategory,
+  restoreCategory
+} = require('../utils/serviceTrash');
+const { pickTerms, termsChanged, recordPriceVersion, toInstant } = require('../utils/pricing');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_EXPORT_ROWS = 50000;
+
+const validateFilters = [
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be 1-${MAX_PAGE_SIZE}`)
+];
+
+// Cursor = position of the last row seen (newest first)
+const encodeCursor = (log) =>
+  Buffer.from(JSON.stringify({ created_at: log.created_at, id: log.id })).toString('base64url');
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+// The values end up inside an .or() filter, so anything but a timestamp and an integer id is rejected
+const decodeCursor = (cursor) => {
+  try {
+    const { created_at, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof created_at !== 'string' || !ISO_TIMESTAMP.test(created_at) || isNaN(new Date(created_at))) return null;
+    if (!Number.isInteger(id)) return null;
+    return { created_at, id };
+  } catch {
+    return null;
+  }
+};
+
+// Build the filtered, newest-first query
+const buildLogQuery = (filters) => {
+  const { admin_id, action, table_name, record_id, from, to } = filters;
+
+  let q = supabase
+    .from('activity_logs')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false });
+
+  if (admin_id) q = q.eq('admin_id', admin_id);
+  if (action) q = q.eq('action', action);
+  if (table_name) q = q.eq('table_name', table_name);
+  if (record_id) q = q.eq('record_id', record_id);
+  if (from) q = q.gte('created_at', new Date(from).toISOString());
+  if (to) q = q.lte('created_at', toInstant(to).toISOString()); // a bare date includes that whole day
+
+  return q;
+};
+
+const afterCursor = (q, cursor) =>
+  q.or(`created_at.lt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.lt.${cursor.id})`);
+
+// Join the acting admin's name onto each log
+const withAdmins = async (logs) => {
+  const adminIds = [...new Set(logs.map(l => l.admin_id).filter(Boolean))];
+  if (adminIds.length === 0) return logs.map(log => ({ ...log, admin: null }));
+
+  const { data: admins, error } = await supabase
+    .from('users')
+    .select('id, username, firstname, lastname')
+    .in('id', adminIds);
+
+  if (error) throw error;
+
+  const byId = new Map(admins.map(a => [a.id, a]));
+  return logs.map(log => {
+    const admin = byId.get(log.admin_id);
+    return {
+      ...log,
+      admin: admin
+        ? { ...admin, name: `${admin.firstname || ''} ${admin.lastname || ''}`.trim() || admin.username }
+        : null
+    };
+  });
+};
+
+// GET logs (filters + cursor pagination)
+router.get('/', requirePermission('activity-logs:read'), validateFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = Number(req.query.limit) || DEFAULT_PAGE_SIZE;
+    let q = buildLogQuery(req.query);
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ message: "Invalid cursor" });
+      q = afterCursor(q, cursor);
+    }
+
+    // Fetch one extra row to know whether there is a next page
+    const { data, error } = await q.limit(limit + 1);
+    if (error) return res.status(400).json({ message: error.message });
+
+    const page = data.slice(0, limit);
+    const hasMore = data.length > limit;
+
+    res.json({
+      logs: await withAdmins(page),
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET filtered logs as CSV
+router.get('/export', requirePermission('activity-logs:read'), validateFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // ✅ Walk the cursor in batches so large exports don't hit the row limit
+    const rows = [];
+    let cursor = null;
+    while (rows.length < MAX_EXPORT_ROWS) {
+      let q = buildLogQuery(req.query);
+      if (cursor) q = afterCursor(q, cursor);
+
+      const { data, error } = await q.limit(EXPORT_BATCH_SIZE);
+      if (error) return res.status(400).json({ message: error.message });
+
+      rows.push(...data);
+      if (data.length < EXPORT_BATCH_SIZE) break;
+      cursor = data[data.length - 1];
+    }
+
+    const logs = await withAdmins(rows.slice(0, MAX_EXPORT_ROWS));
+
+    const csv = toCsv(logs, [
+      { key: 'id', header: 'id' },
+      { key: 'created_at', header: 'created_at' },
+      { key: 'admin_id', header: 'admin_id' },
+      { key: log => log.admin?.name, header: 'admin_name' },
+      { key: 'action', header: 'action' },
+      { key: 'table_name', header: 'table_name' },
+      { key: 'record_id', header: 'record_id' },
+      { key: 'description', header: 'description' }
+    ]);
+
+    // ✅ Exports are themselves audited
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: 'export_activity_logs',
+      table_name: 'activity_logs',
+      record_id: null,
+      description: `Exported ${logs.length} activity logs`,
+      undo_data: { filters: req.query }
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="activity-logs-${stamp}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Fail on the first supabase error in a step
+const check = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+// Put back the fields saved as { primary_key, table, data }
+const restoreFields = async (snapshot, recordId) => {
+  const payload = { ...snapshot.data };
+  if (snapshot.table === 'users' || snapshot.table === 'service_categories') {
+    payload.updated_at = new Date().toISOString();
+  }
+
+  check(await supabase
+    .from(snapshot.table)
+    .update(payload)
+    .eq(snapshot.primary_key, recordId));
+};
+
+// How to revert each kind of log entry
+const UNDO_HANDLERS = {
+  'users:update_user': async (log) => {
+    await restoreFields(log.undo_data, log.record_id);
+  },
+
+  'services:CREATE': async (log) => {
+    await softDeleteService(log.record_id); // lands in the trash, restorable
+  },
+
+  'service_categories:CREATE': async (log) => {
+    await softDeleteCategory(log.record_id);
+  },
+
+  'services:UPDATE': async (log, admin) => {
+    const current = check(await supabase.from('services').select('*').eq('id', log.record_id).single());
+    await restoreFields(log.undo_data, log.record_id);
+
+    // Putting the old price back is a price change too
+    const previousTerms = pickTerms({ ...current, ...log.undo_data.data });
+    if (termsChanged(current, previousTerms)) {
+      await recordPriceVersion({
+        serviceId: log.record_id,
+        terms: previousTerms,
+        previous: current,
+        createdBy: admin.id,
+        note: `Undo of log #${log.id}`
+      });
+    }
+
+    // Re-link the previous category
+    check(await supabase.from('service_category_links').delete().eq('service_id', log.record_id));
+    if (log.undo_data.linked_category) {
+      check(await supabase.from('service_category_links').insert({
+        service_id: Number(log.record_id),
+        category_id: log.undo_data.linked_category
+      }));
+    }
+  },
+
+  'service_categories:UPDATE': async (log) => {
+    await restoreFields(log.undo_data, log.record_id);
+
+    // Re-link the previous services
+    const serviceIds = log.undo_data.linked_services || [];
+    check(await supabase.from('service_category_links').delete().eq('category_id', log.record_id));
+    if (serviceIds.length > 0) {
+      check(await supabase.from('service_category_links').insert(
+        serviceIds.map(service_id => ({ service_id, category_id: Number(log.record_id) }))
+      ));
+    }
+  },
+
+  'services:DELETE': async (log) => {
+    const service = check(await supabase.from('services').select('*').eq('id', log.record_id).single());
+    await restoreService(service);
+  },
+
+  'service_categories:DELETE': async (log) => {
+    const category = check(await supabase.from('service_categories').select('*').eq('id', log.record_id).single());
+    await restoreCategory(category);
+  }
+};
+
+// Update logs written before snapshots were kept hold the new state, not the old one
+const hasSnapshot = (log) =>
+  !log.action.toLowerCase().includes('update') ||
+  (log.undo_data?.primary_key && log.undo_data?.table === log.table_name && log.undo_data?.data);
+
+// POST undo a logged change
+router.post('/:id/undo', requirePermission('activity-logs:undo'), async (req, res) => {
+  try {
+    const { data: log } = await supabase
+      .from('activity_logs')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!log) return res.status(404).json({ message: "Activity log not found" });
+
+    const handler = UNDO_HANDLERS[`${log.table_name}:${log.action}`];
+    if (!handler || !hasSnapshot(log)) {
+      return res.status(400).json({ message: `Cannot undo ${log.action} on ${log.table_name}` });
+    }
+
+    // ✅ Refuse if anything touched the record afterwards (including an earlier undo)
+    const { data: laterLogs, error: laterError } = await supabase
+      .from('activity_logs')
+      .select('id, action, created_at')
+      .eq('table_name', log.table_name)
+      .eq('record_id', log.record_id)
+      .or(`created_at.gt."${log.created_at}",and(created_at.eq."${log.created_at}",id.gt.${log.id})`)
+      .limit(1);
+
+    if (laterError) return res.status(400).json({ message: laterError.message });
+
+    if (laterLogs.length > 0) {
+      return res.status(409).json({
+        message: "Record changed after this log entry, undo the newer change first",
+        newer_log: laterLogs[0]
+      });
+    }
+
+    await handler(log, req.user);
+
+    const { data: undoLog } = await supabase
+      .from('activity_logs')
+      .insert({
+        admin_id: req.user.id,
+        action: 'UNDO',
+        table_name: log.table_name,
+        record_id: log.record_id,
+        description: `Undid ${log.action} on ${log.table_name} #${log.record_id} (log #${log.id})`,
+        undo_data: { undone_log_id: log.id }
+      })
+      .select()
+      .single();
+
+    res.json({ message: 'Change undone', undone_log_id: log.id, log: undoLog });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+module.exports = router;
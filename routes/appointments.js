@@ -0,0 +1,415 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  findAlerts,
+  unacknowledgedAlerts,
+  recordAcknowledgements,
+  alertsRequiredResponse
+} = require('../utils/clinicalAlerts');
+const { findScheduleConflict } = require('../utils/schedule');
+
+const router = express.Router();
+
+// Statuses that still occupy the dentist's time
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// Allowed status transitions (from -> to)
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'no_show'],
+  confirmed: ['cancelled', 'no_show', 'completed'],
+  cancelled: [],
+  no_show: [],
+  completed: []
+};
+
+const DEFAULT_DURATION_MINUTES = 30;
+
+// 🔒 findOverlap is only a pre-check; the appointments table enforces it for concurrent bookings:
+//   EXCLUDE USING gist (dentist_id WITH =, tstzrange(start_time, end_time) WITH &&)
+//   WHERE (status IN ('pending', 'confirmed'))
+const EXCLUSION_VIOLATION = '23P01';
+
+// Find active bookings of a dentist that overlap [start, end)
+const findOverlap = async (dentistId, start, end, excludeId = null) => {
+  let q = supabase
+    .from('appointments')
+    .select('id, start_time, end_time, status')
+    .eq('dentist_id', dentistId)
+    .in('status', ACTIVE_STATUSES)
+    .lt('start_time', end.toISOString())
+    .gt('end_time', start.toISOString());
+
+  if (excludeId) q = q.neq('id', excludeId);
+
+  const { data, error } = await q.limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+// Load an appointment and make sure the caller may see it
+const loadAppointment = async (req, res) => {
+  const { data: appointment, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!appointment) {
+    res.status(404).json({ message: "Appointment not found" });
+    return null;
+  }
+
+  const { id, usertype } = req.user;
+  if (
+    (usertype === 'patient' && appointment.patient_id !== id) ||
+    (usertype === 'dentist' && appointment.dentist_id !== id)
+  ) {
+    res.status(403).json({ message: "Access denied" });
+    return null;
+  }
+
+  return appointment;
+};
+
+// Apply a status change, log it and return the updated row
+// `guard(appointment)` may answer the request itself and return false to stop
+const changeStatus = async (req, res, action, toStatus, extra = {}, guard = null) => {
+  const appointment = await loadAppointment(req, res);
+  if (!appointment) return;
+
+  if (!TRANSITIONS[appointment.status]?.includes(toStatus)) {
+    return res.status(400).json({
+      message: `Cannot change appointment from ${appointment.status} to ${toStatus}`
+    });
+  }
+
+  if (guard && !(await guard(appointment))) return;
+
+  const { data: updated, error } = await supabase
+    .from('appointments')
+    .update({ status: toStatus, ...extra, updated_at: new Date().toISOString() })
+    .eq('id', appointment.id)
+    .select()
+    .single();
+
+  if (error) return res.status(400).json({ message: error.message });
+
+  await supabase.from('activity_logs').insert({
+    admin_id: req.user.id,
+    action,
+    table_name: 'appointments',
+    record_id: String(appointment.id),
+    description: `Appointment #${appointment.id} ${appointment.status} → ${toStatus}`,
+    undo_data: { primary_key: 'id', table: 'appointments', data: { status: appointment.status } }
+  });
+
+  return res.status(200).json({ message: `Appointment ${toStatus}`, appointment: updated });
+};
+
+// GET appointments (patients see their own, dentists their schedule, admins all)
+router.get(
+  '/',
+  authenticate,
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, from, to, dentist_id, patient_id } = req.query;
+      const { id, usertype } = req.user;
+
+      let q = supabase
+        .from('appointments')
+        .select('*')
+        .order('start_time', { ascending: true });
+
+      if (usertype === 'patient') q = q.eq('patient_id', id);
+      else if (usertype === 'dentist') q = q.eq('dentist_id', id);
+      else {
+        if (dentist_id) q = q.eq('dentist_id', dentist_id);
+        if (patient_id) q = q.eq('patient_id', patient_id);
+      }
+
+      if (status) q = q.eq('status', status);
+      if (from) q = q.gte('start_time', new Date(from).toISOString());
+      if (to) q = q.lte('start_time', new Date(to).toISOString());
+
+      const { data, error } = await q;
+      if (error) return res.status(400).json({ message: error.message });
+
+      res.json({ appointments: data });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// GET single appointment
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req, res);
+    if (!appointment) return;
+
+    res.json({ appointment });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST book appointment
+router.post(
+  '/',
+  authenticate,
+  body('service_id').isNumeric().withMessage('Service is required'),
+  body('dentist_id').notEmpty().withMessage('Dentist is required'),
+  body('start_time').isISO8601().withMessage('start_time must be a valid date'),
+  body('duration_minutes').optional().isInt({ min: 5 }).withMessage('duration_minutes must be at least 5'),
+  body('patient_id').optional().notEmpty(),
+  body('acknowledged_alerts').optional().isArray().withMessage('acknowledged_alerts must be an array of alert ids'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { service_id, dentist_id, start_time, duration_minutes, notes } = req.body;
+      const { id: userId, usertype } = req.user;
+
+      // Patients book for themselves; staff must say who the patient is
+      const patientId = usertype === 'patient' ? userId : req.body.patient_id;
+      if (!patientId) {
+        return res.status(400).json({ message: "patient_id is required" });
+      }
+      if (usertype === 'dentist' && dentist_id !== userId) {
+        return res.status(403).json({ message: "Dentists can only book their own schedule" });
+      }
+
+      // ✅ Service must exist
+      const { data: service } = await supabase
+        .from('services')
+        .select('id, name, duration_minutes')
+        .eq('id', service_id)
+        .eq('is_deleted', false)
+        .maybeSingle();
+
+      if (!service) return res.status(404).json({ message: "Service not found" });
+
+      // ✅ Dentist and patient must exist
+      const { data: people, error: peopleError } = await supabase
+        .from('users')
+        .select('id, usertype, firstname, lastname')
+        .in('id', [dentist_id, patientId])
+        .eq('is_deleted', false);
+
+      if (peopleError) return res.status(400).json({ message: peopleError.message });
+
+      const dentist = people.find(p => p.id === dentist_id && p.usertype === 'dentist');
+      const patient = people.find(p => p.id === patientId && p.usertype === 'patient');
+
+      if (!dentist) return res.status(404).json({ message: "Dentist not found" });
+      if (!patient) return res.status(404).json({ message: "Patient not found" });
+
+      const start = new Date(start_time);
+      const end = new Date(start.getTime() + (Number(duration_minutes) || service.duration_minutes || DEFAULT_DURATION_MINUTES) * 60000);
+
+      if (start <= new Date()) {
+        return res.status(400).json({ message: "Appointment must be in the future" });
+      }
+
+      // ✅ Working hours, breaks and days off
+      const unavailable = await findScheduleConflict(dentist_id, start, end);
+      if (unavailable) return res.status(409).json({ message: unavailable });
+
+      // ✅ Overlap check
+      const conflict = await findOverlap(dentist_id, start, end);
+      if (conflict) {
+        return res.status(409).json({ message: "Dentist already has an appointment at that time", conflict });
+      }
+
+      // ✅ Allergy / condition alerts: staff acknowledge now, patient bookings at confirmation
+      const alerts = await findAlerts(patientId, [service.id]);
+      if (usertype !== 'patient') {
+        const missing = await unacknowledgedAlerts(alerts, req.body.acknowledged_alerts);
+        if (missing.length > 0) return res.status(409).json(alertsRequiredResponse(missing));
+      }
+
+      // Staff bookings are confirmed right away
+      const status = usertype === 'patient' ? 'pending' : 'confirmed';
+
+      const { data: appointment, error: insertError } = await supabase
+        .from('appointments')
+        .insert({
+          patient_id: patientId,
+          dentist_id,
+          service_id: service.id,
+          start_time: start.toISOString(),
+          end_time: end.toISOString(),
+          status,
+          notes,
+          created_by: userId
+        })
+        .select()
+        .single();
+
+      if (insertError?.code === EXCLUSION_VIOLATION) {
+        return res.status(409).json({ message: "Dentist already has an appointment at that time" });
+      }
+      if (insertError) return res.status(400).json({ message: insertError.message });
+
+      if (usertype !== 'patient') {
+        await recordAcknowledgements(alerts, { patientId, userId, appointmentId: appointment.id });
+      }
+
+      // ✅ Activity Log
+      await supabase.from('activity_logs').insert({
+        admin_id: userId,
+        action: 'book_appointment',
+        table_name: 'appointments',
+        record_id: String(appointment.id),
+        description: `Booked ${service.name} for ${patient.firstname} ${patient.lastname} with Dr. ${dentist.lastname}`,
+        undo_data: { primary_key: 'id', table: 'appointments', data: appointment }
+      });
+
+      res.status(201).json({ message: 'Appointment booked', appointment, alerts });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// PATCH confirm (alerts not acknowledged at booking must be acknowledged here)
+router.patch('/:id/confirm', requirePermission('appointments:manage'), async (req, res) => {
+  try {
+    await changeStatus(req, res, 'confirm_appointment', 'confirmed', {}, async (appointment) => {
+      const alerts = await findAlerts(appointment.patient_id, [appointment.service_id]);
+      const pending = await unacknowledgedAlerts(alerts, [], { appointmentId: appointment.id });
+      const missing = await unacknowledgedAlerts(pending, req.body.acknowledged_alerts);
+
+      if (missing.length > 0) {
+        res.status(409).json(alertsRequiredResponse(missing));
+        return false;
+      }
+
+      await recordAcknowledgements(pending, {
+        patientId: appointment.patient_id,
+        userId: req.user.id,
+        appointmentId: appointment.id
+      });
+      return true;
+    });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// PATCH cancel
+router.patch('/:id/cancel', requirePermission('appointments:manage'), async (req, res) => {
+  try {
+    await changeStatus(req, res, 'cancel_appointment', 'cancelled', {
+      cancel_reason: req.body.reason || null
+    });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// PATCH no-show
+router.patch('/:id/no-show', requirePermission('appointments:manage'), async (req, res) => {
+  try {
+    await changeStatus(req, res, 'no_show_appointment', 'no_show');
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// PATCH reschedule
+router.patch(
+  '/:id/reschedule',
+  requirePermission('appointments:manage'),
+  body('start_time').isISO8601().withMessage('start_time must be a valid date'),
+  body('duration_minutes').optional().isInt({ min: 5 }).withMessage('duration_minutes must be at least 5'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const appointment = await loadAppointment(req, res);
+      if (!appointment) return;
+
+      if (!ACTIVE_STATUSES.includes(appointment.status)) {
+        return res.status(400).json({ message: `Cannot reschedule a ${appointment.status} appointment` });
+      }
+
+      const previousMinutes = (new Date(appointment.end_time) - new Date(appointment.start_time)) / 60000;
+      const start = new Date(req.body.start_time);
+      const end = new Date(start.getTime() + (Number(req.body.duration_minutes) || previousMinutes) * 60000);
+
+      if (start <= new Date()) {
+        return res.status(400).json({ message: "Appointment must be in the future" });
+      }
+
+      // ✅ Working hours, breaks and days off
+      const unavailable = await findScheduleConflict(appointment.dentist_id, start, end);
+      if (unavailable) return res.status(409).json({ message: unavailable });
+
+      // ✅ Overlap check (ignore this appointment)
+      const conflict = await findOverlap(appointment.dentist_id, start, end, appointment.id);
+      if (conflict) {
+        return res.status(409).json({ message: "Dentist already has an appointment at that time", conflict });
+      }
+
+      const { data: updated, error } = await supabase
+        .from('appointments')
+        .update({
+          start_time: start.toISOString(),
+          end_time: end.toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', appointment.id)
+        .select()
+        .single();
+
+      if (error?.code === EXCLUSION_VIOLATION) {
+        return res.status(409).json({ message: "Dentist already has an appointment at that time" });
+      }
+      if (error) return res.status(400).json({ message: error.message });
+
+      await supabase.from('activity_logs').insert({
+        admin_id: req.user.id,
+        action: 'reschedule_appointment',
+        table_name: 'appointments',
+        record_id: String(appointment.id),
+        description: `Rescheduled appointment #${appointment.id} to ${start.toISOString()}`,
+        undo_data: {
+          primary_key: 'id',
+          table: 'appointments',
+          data: { start_time: appointment.start_time, end_time: appointment.end_time }
+        }
+      });
+
+      res.status(200).json({ message: 'Appointment rescheduled', appointment: updated });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+module.exports = router;
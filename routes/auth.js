@@ -1,18 +1,216 @@
 const express = require('express');
-const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const supabase = require('../supabase'); // your supabase client
+const { authenticate } = require('../middleware/auth');
+const {
+  authenticateCredentials,
+  getAuthEmail,
+  verifyPassword,
+  signUpWithEmail,
+  resendVerificationEmail
+} = require('../utils/credentials');
+const { ACCOUNT_STATUS, STATUS_MESSAGES, syncVerification } = require('../utils/accountStatus');
+const { loginThrottle } = require('../utils/loginThrottle');
+const { generateSecret, verifyCode, otpauthUri } = require('../utils/totp');
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET;
-const refreshToken = crypto.randomBytes(64).toString('hex');
 
-// Utility for creating JWT tokens
-const generateTokens = (user) => {
-  const accessToken = jwt.sign({ id: user.id, usertype: user.usertype }, JWT_SECRET, { expiresIn: "15m" });
-  const refreshToken = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: "7d" });
-  return { accessToken, refreshToken };
+// Refresh tokens: a session (family) lasts at most 30 days and dies after 7 idle days
+const REFRESH_ABSOLUTE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const REFRESH_IDLE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Utility for creating short-lived access tokens
+const signAccessToken = (user) => jwt.sign(
+  { id: user.id, username: user.username, usertype: user.usertype },
+  JWT_SECRET,
+  { expiresIn: '15m' }
+);
+
+// Store a new opaque refresh token in a session family
+const newOpaqueToken = () => crypto.randomBytes(64).toString('hex');
+
+const issueRefreshToken = async ({ token = newOpaqueToken(), userId, familyId, sessionStartedAt, expiresAt, deviceName, req }) => {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase.from('refresh_tokens').insert([{
+    token,
+    user_id: userId,
+    family_id: familyId,
+    session_started_at: sessionStartedAt,
+    expires_at: expiresAt,
+    last_used_at: now,
+    device_name: deviceName || null,
+    user_agent: req.headers['user-agent'] || null,
+    ip_address: req.ip,
+    created_at: now
+  }]);
+
+  if (error) throw error;
+  return token;
+};
+
+// Revoke every live token of one session, or of all sessions of a user (optionally but one)
+const revokeSessions = async ({ userId, familyId, exceptFamilyId }) => {
+  let q = supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (familyId) q = q.eq('family_id', familyId);
+  if (exceptFamilyId) q = q.or(`family_id.is.null,family_id.neq.${exceptFamilyId}`);
+
+  const { data, error } = await q.select('family_id');
+  if (error) throw error;
+  return new Set(data.map(t => t.family_id)).size;
+};
+
+// Revoke the session a token belongs to (tokens issued before families existed stand alone)
+const revokeTokenSession = async (tokenData) => {
+  if (tokenData.family_id) {
+    return revokeSessions({ userId: tokenData.user_id, familyId: tokenData.family_id });
+  }
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('token', tokenData.token);
+
+  if (error) throw error;
+  return 1;
+};
+
+// Admin 2FA: optional per admin, mandatory for all admins when ADMIN_2FA_REQUIRED=true
+const ADMIN_2FA_REQUIRED = process.env.ADMIN_2FA_REQUIRED === 'true';
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Smart Dental';
+const RECOVERY_CODE_COUNT = 10;
+
+// The 24h admin session token, only handed out once every factor is checked
+const adminLoginResponse = (user) => ({
+  message: 'Admin login successful',
+  token: jwt.sign(
+    { id: user.id, username: user.username, usertype: user.usertype },
+    JWT_SECRET,
+    { expiresIn: '24h' }
+  ),
+  user: {
+    id: user.id,
+    username: user.username,
+    usertype: user.usertype,
+  },
+});
+
+// Short-lived token proving the password step passed; has no usertype so no route accepts it
+const signMfaToken = (user, purpose) => jwt.sign({ id: user.id, purpose }, JWT_SECRET, { expiresIn: '5m' });
+
+const readMfaToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+const getMfa = async (userId) => {
+  const { data, error } = await supabase.from('admin_mfa').select('*').eq('user_id', userId).maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// Check a TOTP code (each time step only once) or burn a recovery code
+const consumeSecondFactor = async (mfa, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(mfa.secret, code);
+    if (step === null || (mfa.last_used_step !== null && step <= mfa.last_used_step)) return false;
+
+    await supabase.from('admin_mfa').update({ last_used_step: step }).eq('user_id', mfa.user_id);
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!(mfa.recovery_codes || []).includes(hash)) return false;
+
+    await supabase
+      .from('admin_mfa')
+      .update({ recovery_codes: mfa.recovery_codes.filter(h => h !== hash) })
+      .eq('user_id', mfa.user_id);
+    return true;
+  }
+
+  return false;
+};
+
+// Admin JWT, or the enrollment token handed out when 2FA is mandatory but not set up yet
+const authenticateMfaSetup = async (req, res, next) => {
+  if (!req.body?.mfaToken) {
+    return authenticate(req, res, () => {
+      if (req.user.usertype !== 'admin') return res.status(403).json({ message: "Admins only" });
+      next();
+    });
+  }
+
+  const decoded = readMfaToken(req.body.mfaToken, 'mfa_enroll');
+  if (!decoded) return res.status(401).json({ message: "Invalid or expired 2FA token" });
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, username, usertype')
+    .eq('id', decoded.id)
+    .maybeSingle();
+
+  if (!user || user.usertype !== 'admin') return res.status(403).json({ message: "Admins only" });
+
+  req.user = user;
+  req.viaEnrollmentToken = true;
+  next();
+};
+
+// Throttled credential check shared by both logins.
+// Same message for unknown user and wrong password so usernames can't be enumerated.
+const checkLogin = async (req, res, username, password) => {
+  const keys = loginThrottle.keys(req, username);
+
+  const { allowed, retryAfterSeconds } = await loginThrottle.check(keys);
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ message: 'Too many login attempts. Please try again later.', retryAfter: retryAfterSeconds });
+    return null;
+  }
+
+  const { user, error } = await authenticateCredentials(username, password);
+
+  if (error) {
+    await loginThrottle.recordFailure(keys);
+    res.status(400).json({ message: 'Invalid username or password.' });
+    return null;
+  }
+
+  await loginThrottle.recordSuccess(keys);
+
+  // Correct password, but the account must also be verified (and approved, for dentists)
+  const status = await syncVerification(user);
+  if (status !== ACCOUNT_STATUS.ACTIVE) {
+    res.status(403).json({
+      message: STATUS_MESSAGES[status] || 'Account is not active.',
+      status,
+      ...(status === ACCOUNT_STATUS.REJECTED && user.rejection_reason ? { reason: user.rejection_reason } : {})
+    });
+    return null;
+  }
+
+  return { ...user, status };
 };
 
 // ------------------ WEBSITE LOGIN (Admins Only) Working ------------------
@@ -26,60 +224,242 @@ router.post('/website/login', [
   const { username, password } = req.body;
 
   try {
-    // 1) Get user from your custom table
-    const { data: localUser, error: localError } = await supabase
-      .from('users')
-      .select('id, usertype, username')
-      .eq('username', username)
-      .single();
+    // 1) Check credentials against Supabase Auth (same path as the app)
+    const localUser = await checkLogin(req, res, username, password);
+    if (!localUser) return;
+
+    // 2) Restrict usertype
+    if (localUser.usertype !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admins only.' });
+    }
+
+    // 3) Second factor: ask for a code, or force enrollment when policy requires it
+    const mfa = await getMfa(localUser.id);
+
+    if (mfa?.enabled) {
+      return res.status(200).json({
+        message: 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaToken: signMfaToken(localUser, 'mfa'),
+      });
+    }
 
-    if (localError || !localUser) {
-      return res.status(400).json({ message: 'User not found.' });
+    if (ADMIN_2FA_REQUIRED) {
+      return res.status(200).json({
+        message: 'Two-factor authentication must be set up before logging in',
+        mfaEnrollmentRequired: true,
+        mfaToken: signMfaToken(localUser, 'mfa_enroll'),
+      });
     }
 
-    if (localUser.usertype !== 'admin') {
+    // 4) Generate JWT
+    return res.status(200).json(adminLoginResponse(localUser));
+
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error during login.' });
+  }
+});
+
+// ------------------ WEBSITE LOGIN, STEP 2 (Admin 2FA code) ------------------
+router.post('/website/login/2fa', [
+  body('mfaToken').notEmpty().withMessage('mfaToken is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { mfaToken, code, recoveryCode } = req.body;
+  if (!code && !recoveryCode) return res.status(400).json({ message: 'code or recoveryCode is required' });
+
+  try {
+    const decoded = readMfaToken(mfaToken, 'mfa');
+    if (!decoded) return res.status(401).json({ message: 'Login expired, please sign in again.' });
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, username, usertype, is_deleted')
+      .eq('id', decoded.id)
+      .maybeSingle();
+
+    if (!user || user.is_deleted || user.usertype !== 'admin') {
       return res.status(403).json({ message: 'Access denied. Admins only.' });
     }
 
-    // 2) Fetch Auth user email via Supabase Admin API
-    const { data: authData, error: authError } = await supabase.auth.admin.getUserById(localUser.id);
+    // Wrong codes count toward the same lockout as wrong passwords
+    const keys = loginThrottle.keys(req, user.username);
+    const { allowed, retryAfterSeconds } = await loginThrottle.check(keys);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({ message: 'Too many login attempts. Please try again later.', retryAfter: retryAfterSeconds });
+    }
 
-    if (authError || !authData?.user) {
-      return res.status(400).json({ message: 'Failed to find auth user.' });
+    const mfa = await getMfa(user.id);
+    if (!mfa?.enabled || !(await consumeSecondFactor(mfa, { code, recoveryCode }))) {
+      await loginThrottle.recordFailure(keys);
+      return res.status(400).json({ message: 'Invalid authentication code.' });
     }
 
-    const userEmail = authData.user.email;
+    await loginThrottle.recordSuccess(keys);
+    return res.status(200).json(adminLoginResponse(user));
 
-    // 3) Validate password using Supabase Auth
-    const { error: loginError } = await supabase.auth.signInWithPassword({
-      email: userEmail,
-      password
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error during login.' });
+  }
+});
+
+// ------------------ ADMIN 2FA SETTINGS ------------------
+router.get('/2fa/status', authenticateMfaSetup, async (req, res) => {
+  try {
+    const mfa = await getMfa(req.user.id);
+    res.json({
+      enabled: !!mfa?.enabled,
+      required: ADMIN_2FA_REQUIRED,
+      recoveryCodesLeft: mfa?.enabled ? (mfa.recovery_codes || []).length : 0
     });
+  } catch (err) {
+    console.error("2FA status error:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-    if (loginError) {
-      return res.status(400).json({ message: 'Incorrect password.' });
+// Start enrollment: new secret + otpauth:// URI for the QR code
+router.post('/2fa/enroll', authenticateMfaSetup, async (req, res) => {
+  try {
+    const existing = await getMfa(req.user.id);
+    if (existing?.enabled) {
+      return res.status(400).json({ message: "2FA is already enabled, disable it first to re-enroll" });
     }
 
-    // 4) Generate JWT
-    const token = jwt.sign(
-      { id: localUser.id, username: localUser.username, usertype: localUser.usertype },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const secret = generateSecret();
+    const { error } = await supabase.from('admin_mfa').upsert({
+      user_id: req.user.id,
+      secret,
+      enabled: false,
+      recovery_codes: [],
+      last_used_step: null,
+      enrolled_at: null
+    }, { onConflict: 'user_id' });
 
-    return res.status(200).json({
-      message: 'Admin login successful',
-      token,
-      user: {
-        id: localUser.id,
-        username: localUser.username,
-        usertype: localUser.usertype,
-      },
+    if (error) return res.status(400).json({ message: error.message });
+
+    res.json({
+      message: "Scan the QR code, then confirm with a code from the app",
+      secret,
+      otpauthUri: otpauthUri({ secret, account: req.user.username, issuer: MFA_ISSUER })
     });
+  } catch (err) {
+    console.error("2FA enroll error:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Confirm enrollment with a first code; returns recovery codes once
+router.post('/2fa/verify', authenticateMfaSetup, [
+  body('code').notEmpty().withMessage('code is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const mfa = await getMfa(req.user.id);
+    if (!mfa) return res.status(400).json({ message: "Start enrollment first" });
+    if (mfa.enabled) return res.status(400).json({ message: "2FA is already enabled" });
+
+    const step = verifyCode(mfa.secret, req.body.code);
+    if (step === null) return res.status(400).json({ message: "Invalid authentication code." });
+
+    const recoveryCodes = generateRecoveryCodes();
+    const { error } = await supabase
+      .from('admin_mfa')
+      .update({
+        enabled: true,
+        enrolled_at: new Date().toISOString(),
+        last_used_step: step,
+        recovery_codes: recoveryCodes.map(hashRecoveryCode)
+      })
+      .eq('user_id', req.user.id);
+
+    if (error) return res.status(400).json({ message: error.message });
 
+    await supabase.from('activity_logs').insert([{
+      admin_id: req.user.id,
+      action: 'enable_2fa',
+      table_name: 'admin_mfa',
+      record_id: req.user.id,
+      description: `Admin ${req.user.username} enabled two-factor authentication`
+    }]);
+
+    // Enrollment forced at login finishes the login too
+    const login = req.viaEnrollmentToken ? adminLoginResponse(req.user) : {};
+
+    res.json({ ...login, message: "Two-factor authentication enabled", recoveryCodes });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Server error during login.' });
+    console.error("2FA verify error:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Replace recovery codes (needs a current code)
+router.post('/2fa/recovery-codes', authenticateMfaSetup, [
+  body('code').notEmpty().withMessage('code is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const mfa = await getMfa(req.user.id);
+    if (!mfa?.enabled) return res.status(400).json({ message: "2FA is not enabled" });
+
+    if (!(await consumeSecondFactor(mfa, { code: req.body.code }))) {
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await supabase
+      .from('admin_mfa')
+      .update({ recovery_codes: recoveryCodes.map(hashRecoveryCode) })
+      .eq('user_id', req.user.id);
+
+    res.json({ message: "Recovery codes replaced", recoveryCodes });
+  } catch (err) {
+    console.error("2FA recovery codes error:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Turn 2FA off (not allowed while the policy makes it mandatory)
+router.post('/2fa/disable', authenticateMfaSetup, async (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  try {
+    if (ADMIN_2FA_REQUIRED) {
+      return res.status(403).json({ message: "2FA is mandatory for admins" });
+    }
+
+    const mfa = await getMfa(req.user.id);
+    if (!mfa?.enabled) return res.status(400).json({ message: "2FA is not enabled" });
+
+    if (!(await consumeSecondFactor(mfa, { code, recoveryCode }))) {
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+
+    await supabase.from('admin_mfa').delete().eq('user_id', req.user.id);
+
+    await supabase.from('activity_logs').insert([{
+      admin_id: req.user.id,
+      action: 'disable_2fa',
+      table_name: 'admin_mfa',
+      record_id: req.user.id,
+      description: `Admin ${req.user.username} disabled two-factor authentication`
+    }]);
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("2FA disable error:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
@@ -88,33 +468,23 @@ router.post('/app/login', [
   body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters long'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
   body('fcmToken').optional().isString(),
+  body('deviceName').optional().isString(),
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  const { username, password, fcmToken } = req.body;
+  const { username, password, fcmToken, deviceName } = req.body;
 
   try {
-    // Fetch user
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('username', username)
-      .single();
-
-    if (userError || !userData) return res.status(400).json({ message: 'User not found.' });
-
-    const user = userData;
+    // Check credentials against Supabase Auth (same path as the website)
+    const user = await checkLogin(req, res, username, password);
+    if (!user) return;
 
     // Restrict usertype
     if (user.usertype !== 'patient' && user.usertype !== 'dentist') {
       return res.status(403).json({ message: 'Access denied. Patients and Dentists only.' });
     }
 
-    // Compare password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: 'Incorrect password' });
-
     // Update FCM Token if provided
     if (fcmToken) {
       await supabase
@@ -123,19 +493,18 @@ router.post('/app/login', [
         .eq('id', user.id);
     }
 
-    // Generate access and refresh tokens
-    const accessToken = jwt.sign(
-      { id: user.id, username: user.username, usertype: user.usertype },
-      JWT_SECRET,
-      { expiresIn: '15m' }
-    );
-
-    const refreshToken = crypto.randomBytes(64).toString('hex');
-
-    // Store refresh token in Supabase
-    await supabase.from('refresh_tokens').insert([
-      { token: refreshToken, user_id: user.id, created_at: new Date() }
-    ]);
+    // Generate access token and start a new refresh token family (one per device)
+    const accessToken = signAccessToken(user);
+
+    const now = Date.now();
+    const refreshToken = await issueRefreshToken({
+      userId: user.id,
+      familyId: crypto.randomUUID(),
+      sessionStartedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + REFRESH_ABSOLUTE_TTL_MS).toISOString(),
+      deviceName,
+      req
+    });
 
     return res.status(200).json({
       message: 'Login successful',
@@ -191,19 +560,26 @@ router.post('/app/register', [
       return res.status(400).json({ message: 'Email already registered' });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    // Create the login in Supabase Auth (the only place passwords are stored);
+    // Supabase emails the verification link
+    const { userId, error: authError } = await signUpWithEmail(email, password);
+
+    if (authError) {
+      console.error('Supabase auth sign up error:', authError);
+      return res.status(400).json({ message: 'Failed to register user', error: authError });
+    }
 
-    // Insert new user
+    // Insert profile under the same id; nobody gets access until the email is verified
     const { data: newUser, error: insertError } = await supabase
       .from('users')
       .insert([{
+        id: userId,
         username,
         email,
-        password: hashedPassword,
         usertype,
         firstname,
         lastname,
+        status: ACCOUNT_STATUS.PENDING_VERIFICATION,
         created_at: new Date(),
         updated_at: new Date()
       }])
@@ -211,6 +587,8 @@ router.post('/app/register', [
       .single();
 
     if (insertError) {
+      // Don't leave an orphaned Auth login behind
+      await supabase.auth.admin.deleteUser(userId);
       console.error('Supabase insert error:', insertError.message);
       return res.status(500).json({ message: 'Failed to register user', error: insertError.message });
     }
@@ -219,7 +597,9 @@ router.post('/app/register', [
     const { password: _, ...userWithoutPassword } = newUser;
 
     return res.status(201).json({
-      message: 'User registered successfully',
+      message: usertype === 'dentist'
+        ? 'Registered. Verify your email, then an admin will review your account.'
+        : 'Registered. Check your email to verify your account.',
       user: userWithoutPassword
     });
 
@@ -229,6 +609,36 @@ router.post('/app/register', [
   }
 });
 
+// ------------------ RESEND VERIFICATION EMAIL ------------------
+router.post('/resend-verification', [
+  body('email').isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { email } = req.body;
+
+  try {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, status')
+      .eq('email', email)
+      .eq('is_deleted', false)
+      .maybeSingle();
+
+    if (user?.status === ACCOUNT_STATUS.PENDING_VERIFICATION) {
+      await resendVerificationEmail(email);
+    }
+
+    // Same answer either way so emails can't be probed
+    return res.status(200).json({ message: 'If the account is waiting for verification, a new email has been sent.' });
+
+  } catch (err) {
+    console.error('Error resending verification:', err.message);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
 // ------------------ FORGOT PASSWORD Working ------------------
 router.post('/forgot-password', [
   body('email').isEmail().withMessage('Valid email is required')
@@ -297,6 +707,9 @@ router.post('/reset-password', async (req, res) => {
 
     if (error) return res.status(400).json({ message: error.message });
 
+    // 3️⃣ Log out every session, a stolen one included
+    await revokeSessions({ userId });
+
     return res.status(200).json({ message: 'Password updated successfully.' });
   } catch (err) {
     console.error('Error resetting password:', err.message);
@@ -304,7 +717,7 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
-// ------------------ REFRESH TOKEN ------------------
+// ------------------ REFRESH TOKEN (rotating) ------------------
 router.post('/refresh-token', async (req, res) => {
   const { refreshToken } = req.body;
   if (!refreshToken) return res.status(401).json({ message: "Missing refresh token" });
@@ -319,6 +732,28 @@ router.post('/refresh-token', async (req, res) => {
 
     if (tokenError || !tokenData) return res.status(403).json({ message: "Invalid refresh token" });
 
+    // An already-rotated token coming back means it was stolen: kill the whole family
+    if (tokenData.revoked_at) {
+      if (tokenData.replaced_by) {
+        await revokeTokenSession(tokenData);
+        console.warn(`⚠️ Refresh token reuse detected for user ${tokenData.user_id}, session revoked`);
+        return res.status(401).json({ message: "Refresh token reuse detected, please log in again" });
+      }
+      return res.status(401).json({ message: "Session has been logged out" });
+    }
+
+    // Absolute and idle expiry
+    const now = Date.now();
+    const expiresAt = tokenData.expires_at
+      ? new Date(tokenData.expires_at).getTime()
+      : new Date(tokenData.created_at).getTime() + REFRESH_ABSOLUTE_TTL_MS;
+    const lastUsed = new Date(tokenData.last_used_at || tokenData.created_at).getTime();
+
+    if (expiresAt <= now || lastUsed + REFRESH_IDLE_TTL_MS <= now) {
+      await revokeTokenSession(tokenData);
+      return res.status(401).json({ message: "Session expired, please log in again" });
+    }
+
     // Fetch user
     const { data: user, error: userError } = await supabase
       .from('users')
@@ -326,16 +761,34 @@ router.post('/refresh-token', async (req, res) => {
       .eq('id', tokenData.user_id)
       .single();
 
-    if (userError || !user) return res.status(404).json({ message: "User not found" });
+    if (userError || !user || user.is_deleted) return res.status(404).json({ message: "User not found" });
+
+    // Rotate: retire the old token first so a parallel replay can't also succeed
+    const newRefreshToken = newOpaqueToken();
+    const familyId = tokenData.family_id || crypto.randomUUID();
+    const { data: retired } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date(now).toISOString(), replaced_by: newRefreshToken, family_id: familyId })
+      .eq('token', refreshToken)
+      .is('revoked_at', null)
+      .select('token');
 
-    // Generate new access token
-    const accessToken = jwt.sign(
-      { id: user.id, username: user.username, usertype: user.usertype },
-      JWT_SECRET,
-      { expiresIn: '15m' }
-    );
+    if (!retired?.length) {
+      await revokeTokenSession(tokenData);
+      return res.status(401).json({ message: "Refresh token reuse detected, please log in again" });
+    }
+
+    await issueRefreshToken({
+      token: newRefreshToken,
+      userId: user.id,
+      familyId,
+      sessionStartedAt: tokenData.session_started_at || tokenData.created_at,
+      expiresAt: new Date(expiresAt).toISOString(),
+      deviceName: tokenData.device_name,
+      req
+    });
 
-    res.json({ accessToken });
+    res.json({ accessToken: signAccessToken(user), refreshToken: newRefreshToken });
   } catch (err) {
     console.error('Refresh token error:', err.message);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -348,7 +801,16 @@ router.post('/logout', async (req, res) => {
   if (!refreshToken) return res.status(400).json({ message: "Missing refresh token" });
 
   try {
-    await supabase.from('refresh_tokens').delete().eq('token', refreshToken);
+    const { data: tokenData } = await supabase
+      .from('refresh_tokens')
+      .select('token, user_id, family_id')
+      .eq('token', refreshToken)
+      .maybeSingle();
+
+    // Revoke (not delete) so a later replay is still recognised
+    if (tokenData) {
+      await revokeTokenSession(tokenData);
+    }
     res.json({ message: "Logged out successfully" });
   } catch (err) {
     console.error("Logout error:", err.message);
@@ -356,23 +818,89 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+// ------------------ SESSIONS (devices) ------------------
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('refresh_tokens')
+      .select('family_id, device_name, user_agent, ip_address, session_started_at, last_used_at, expires_at')
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+
+    if (error) return res.status(400).json({ message: error.message });
+
+    const idleCutoff = Date.now() - REFRESH_IDLE_TTL_MS;
+    const sessions = data
+      .filter(t => new Date(t.last_used_at).getTime() > idleCutoff)
+      .map(({ family_id, ...session }) => ({ id: family_id, ...session }));
+
+    res.json({ sessions });
+  } catch (err) {
+    console.error("Sessions error:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ userId: req.user.id, familyId: req.params.id });
+    if (revoked === 0) return res.status(404).json({ message: "Session not found" });
+
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    console.error("Revoke session error:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ userId: req.user.id });
+    res.json({ message: "All sessions revoked", revoked });
+  } catch (err) {
+    console.error("Revoke sessions error:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
 // ------------------ CHANGE PASSWORD ------------------
-router.patch("/change-password", async (req, res) => {
-  const { userId, currentPassword, newPassword } = req.body;
+router.patch("/change-password", authenticate, async (req, res) => {
+  const { currentPassword, newPassword, refreshToken } = req.body;
+  const userId = req.user.id; // only ever your own account
+
+  if (!currentPassword || !newPassword || newPassword.length < 6) {
+    return res.status(400).json({ message: "Password must be at least 6 characters long" });
+  }
 
   try {
-    const { data: user, error } = await supabase.from("users").select("*").eq("id", userId).single();
-    if (error || !user) return res.status(404).json({ message: "User not found" });
+    const email = await getAuthEmail(userId);
+    if (!email) return res.status(404).json({ message: "User not found" });
 
-    const isValid = await bcrypt.compare(currentPassword, user.password);
+    const isValid = await verifyPassword(email, currentPassword);
     if (!isValid) return res.status(400).json({ message: "Current password incorrect" });
 
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    const { error: updateError } = await supabase.from("users").update({ password: hashedPassword }).eq("id", userId);
+    const { error: updateError } = await supabase.auth.admin.updateUserById(userId, { password: newPassword });
 
     if (updateError) return res.status(400).json({ message: "Error updating password" });
 
-    res.json({ message: "Password changed successfully" });
+    // Log out the other sessions; the caller's own stays if it sent its refresh token
+    let currentFamilyId = null;
+    if (refreshToken) {
+      const { data: current } = await supabase
+        .from('refresh_tokens')
+        .select('family_id')
+        .eq('token', refreshToken)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .maybeSingle();
+      currentFamilyId = current?.family_id || null;
+    }
+
+    const revoked = await revokeSessions({ userId, exceptFamilyId: currentFamilyId });
+
+    res.json({ message: "Password changed successfully", revoked_sessions: revoked });
   } catch (err) {
     console.error("Change password error:", err.message);
     res.status(500).json({ message: "Server error", error: err.message });
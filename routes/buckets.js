@@ -3,113 +3,258 @@ const multer = require('multer');
 const fs = require('fs');
 const router = express.Router();
 const supabase = require('../supabase'); // your supabase client
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { ModelError, inspectModel } = require('../utils/gltf');
+const { canAccessRecord } = require('../utils/access');
+
+const MODEL_MAX_MB = Number(process.env.MODEL_MAX_MB) || 50; // per file
 
 // Multer setup to handle file uploads (stores files temporarily)
-const upload = multer({ dest: 'uploads/' });
+const upload = multer({
+  dest: 'uploads/',
+  limits: { fileSize: Math.floor(MODEL_MAX_MB * 1024 * 1024), files: 2 },
+});
 
-// 📤 Upload BEFORE model (GLTF + optional BIN)
-router.post(
-  '/upload/beforemodel',
-  upload.fields([
-    { name: 'gltf', maxCount: 1 },
-    { name: 'bin', maxCount: 1 },
-  ]),
-  async (req, res) => {
+const bucketName = '3d-Dental-Model'; // your Supabase bucket name
+const SIGNED_URL_TTL = 600; // valid 10 minutes
+
+const CONTENT_TYPES = {
+  gltf: 'model/gltf+json',
+  glb: 'model/gltf-binary',
+};
+
+// 🧹 Remove temp uploads when a request is rejected early
+const cleanupFiles = (req) => {
+  Object.values(req.files || {}).flat().forEach(file => {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  });
+};
+
+// 🗑️ Drop files a previous upload left behind (e.g. .gltf + .bin replaced by a .glb)
+const removeStaleFiles = async (previous, stage, keep) => {
+  if (!previous) return;
+
+  const stale = [previous[`${stage}_model_url`], previous[`${stage}_model_bin_url`]]
+    .filter(path => path && !keep.includes(path));
+
+  if (stale.length === 0) return;
+
+  const { error } = await supabase.storage.from(bucketName).remove(stale);
+  if (error) console.error('⚠️ Could not remove old model files:', error.message);
+};
+
+// 📤 Shared handler for BEFORE / AFTER model uploads (GLTF + optional BIN, or a single GLB)
+const uploadModel = (stage) => async (req, res) => {
+  try {
+    const { record_id } = req.body;
+    if (!record_id) {
+      cleanupFiles(req);
+      return res.status(400).json({ error: 'Missing record_id' });
+    }
+
+    const modelFile = req.files?.['glb']?.[0] || req.files?.['gltf']?.[0];
+    const binFile = req.files?.['bin']?.[0] || null;
+
+    if (!modelFile) {
+      cleanupFiles(req);
+      return res.status(400).json({ error: 'Missing gltf or glb file' });
+    }
+    if (req.files['glb'] && req.files['gltf']) {
+      cleanupFiles(req);
+      return res.status(400).json({ error: 'Upload either a gltf or a glb file, not both' });
+    }
+
+    // 🔎 Model must belong to an existing dental record the caller may access
+    const { data: record } = await supabase
+      .from('dental_records')
+      .select('id, patient_id, dentist_id')
+      .eq('id', record_id)
+      .eq('is_deleted', false)
+      .maybeSingle();
+
+    if (!record) {
+      cleanupFiles(req);
+      return res.status(404).json({ error: 'Record not found' });
+    }
+    if (!(await canAccessRecord(req.user, record))) {
+      cleanupFiles(req);
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const modelBuffer = fs.readFileSync(modelFile.path);
+    const binBuffer = binFile ? fs.readFileSync(binFile.path) : null;
+    cleanupFiles(req);
+
+    // 🧪 Parse and cross-check the files before anything is stored
+    let inspected;
     try {
-      const { record_id } = req.body;
-      if (!record_id) return res.status(400).json({ error: 'Missing record_id' });
+      inspected = inspectModel({ model: modelBuffer, bin: binBuffer, binName: binFile?.originalname });
+    } catch (err) {
+      if (err instanceof ModelError) return res.status(400).json({ error: `Invalid model: ${err.message}` });
+      throw err;
+    }
+
+    const { format, metadata } = inspected;
+    const suffix = stage === 'after' ? '_after' : '';
+
+    const { data: previous } = await supabase
+      .from('dental_models')
+      .select('*')
+      .eq('record_id', record_id)
+      .maybeSingle();
+
+    // 🦷 Upload GLTF / GLB file
+    const gltfPath = `models/DentalModel_${record_id}${suffix}.${format}`;
 
-      const bucketName = '3d-Dental-Model'; // your Supabase bucket name
+    const { error: gltfError } = await supabase.storage
+      .from(bucketName)
+      .upload(gltfPath, modelBuffer, {
+        contentType: CONTENT_TYPES[format],
+        upsert: true,
+      });
+
+    if (gltfError) throw gltfError;
 
-      // 🦷 Upload GLTF file
-      const gltfFile = req.files['gltf'][0];
-      const gltfBuffer = fs.readFileSync(gltfFile.path);
-      const gltfPath = `models/DentalModel_${record_id}.gltf`;
+    // 🧩 Upload BIN file (optional, gltf only)
+    let binPath = null;
+    if (binBuffer) {
+      binPath = `models/DentalModel_${record_id}${suffix}.bin`;
 
-      const { error: gltfError } = await supabase.storage
+      const { error: binError } = await supabase.storage
         .from(bucketName)
-        .upload(gltfPath, gltfBuffer, {
-          contentType: 'model/gltf+json',
+        .upload(binPath, binBuffer, {
+          contentType: 'application/octet-stream',
           upsert: true,
         });
 
-      fs.unlinkSync(gltfFile.path);
-      if (gltfError) throw gltfError;
-
-      // 🧩 Upload BIN file (optional)
-      let binPath = null;
-      if (req.files['bin']) {
-        const binFile = req.files['bin'][0];
-        const binBuffer = fs.readFileSync(binFile.path);
-        binPath = `models/DentalModel_${record_id}.bin`;
-
-        const { error: binError } = await supabase.storage
-          .from(bucketName)
-          .upload(binPath, binBuffer, {
-            contentType: 'application/octet-stream',
-            upsert: true,
-          });
-
-        fs.unlinkSync(binFile.path);
-        if (binError) throw binError;
-      }
-
-      // 💾 Save in dental_models table
-      const { error: dbError } = await supabase
-        .from('dental_models')
-        .upsert([
-          {
-            record_id,
-            before_model_url: gltfPath,
-            before_model_bin_url: binPath,
-            before_uploaded_at: new Date(),
-          },
-        ]);
-
-      if (dbError) throw dbError;
-
-      res.json({
-        success: true,
-        message: 'Model uploaded successfully',
-        record_id,
-        gltfPath,
-        binPath,
-      });
-    } catch (error) {
-      console.error('❌ Upload error:', error.message);
-      res.status(500).json({ success: false, error: error.message });
+      if (binError) throw binError;
     }
+
+    // 💾 Save in dental_models table (only this stage's columns)
+    const { error: dbError } = await supabase
+      .from('dental_models')
+      .upsert([
+        {
+          record_id,
+          [`${stage}_model_url`]: gltfPath,
+          [`${stage}_model_bin_url`]: binPath,
+          [`${stage}_model_metadata`]: metadata,
+          [`${stage}_uploaded_at`]: new Date(),
+        },
+      ], { onConflict: 'record_id' });
+
+    if (dbError) throw dbError;
+
+    await removeStaleFiles(previous, stage, [gltfPath, binPath]);
+
+    res.json({
+      success: true,
+      message: 'Model uploaded successfully',
+      stage,
+      record_id,
+      format,
+      gltfPath,
+      binPath,
+      metadata,
+    });
+  } catch (error) {
+    cleanupFiles(req);
+    console.error('❌ Upload error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
-);
+};
 
-// 📥 Fetch BEFORE model (generates signed URLs)
-router.get('/model/:record_id', async (req, res) => {
+// 🔗 Signed URLs for one stage of a model row
+const signStage = async (row, stage) => {
+  const gltfPath = row[`${stage}_model_url`];
+  if (!gltfPath) return null;
+
+  const binPath = row[`${stage}_model_bin_url`];
+
+  const { data: gltfUrl } = await supabase.storage
+    .from(bucketName)
+    .createSignedUrl(gltfPath, SIGNED_URL_TTL);
+
+  const { data: binUrl } = binPath
+    ? await supabase.storage
+        .from(bucketName)
+        .createSignedUrl(binPath, SIGNED_URL_TTL)
+    : { data: null };
+
+  return {
+    format: gltfPath.endsWith('.glb') ? 'glb' : 'gltf',
+    gltfUrl: gltfUrl?.signedUrl || null,
+    binUrl: binUrl?.signedUrl || null,
+    metadata: row[`${stage}_model_metadata`] || null,
+    uploadedAt: row[`${stage}_uploaded_at`] || null,
+  };
+};
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `File too large (max ${MODEL_MAX_MB} MB)`,
+  LIMIT_FILE_COUNT: 'Too many files (gltf + bin, or a single glb)',
+};
+
+// Multer errors (size limit, unknown field) become a 400 instead of the default 500
+const modelFields = (req, res, next) => {
+  upload.fields([
+    { name: 'gltf', maxCount: 1 },
+    { name: 'bin', maxCount: 1 },
+    { name: 'glb', maxCount: 1 },
+  ])(req, res, (err) => {
+    if (!err) return next();
+
+    cleanupFiles(req);
+    if (err instanceof multer.MulterError) {
+      const message = MULTER_MESSAGES[err.code]
+        || (err.code === 'LIMIT_UNEXPECTED_FILE' ? `Unexpected file field "${err.field}"` : err.message);
+      return res.status(400).json({ error: message });
+    }
+    next(err);
+  });
+};
+
+// 📤 Upload BEFORE model
+router.post('/upload/beforemodel', requirePermission('models:upload'), modelFields, uploadModel('before'));
+
+// 📤 Upload AFTER model (post-treatment)
+router.post('/upload/aftermodel', requirePermission('models:upload'), modelFields, uploadModel('after'));
+
+// 📥 Fetch BEFORE and AFTER models (generates signed URLs)
+router.get('/model/:record_id', authenticate, async (req, res) => {
   const { record_id } = req.params;
 
   try {
+    // 🔒 Same rule as the record: own records, dentists' treated patients, admins all
+    const { data: record } = await supabase
+      .from('dental_records')
+      .select('patient_id, dentist_id')
+      .eq('id', record_id)
+      .maybeSingle();
+
+    if (!record || !(await canAccessRecord(req.user, record))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     const { data, error } = await supabase
       .from('dental_models')
       .select('*')
       .eq('record_id', record_id)
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
     if (!data) return res.status(404).json({ error: 'Model not found' });
 
-    const { data: gltfUrl } = await supabase.storage
-      .from('dental-models')
-      .createSignedUrl(data.before_model_url, 600); // valid 10 minutes
-
-    const { data: binUrl } = data.before_model_bin_url
-      ? await supabase.storage
-          .from('dental-models')
-          .createSignedUrl(data.before_model_bin_url, 600)
-      : { data: null };
+    const before = await signStage(data, 'before');
+    const after = await signStage(data, 'after');
 
     res.json({
       record_id,
-      gltfUrl: gltfUrl?.signedUrl || null,
-      binUrl: binUrl?.signedUrl || null,
+      // kept for viewers that only know the before model
+      gltfUrl: before?.gltfUrl || null,
+      binUrl: before?.binUrl || null,
+      before,
+      after,
     });
   } catch (error) {
     console.error('❌ Fetch error:', error.message);
@@ -0,0 +1,390 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { authenticate, requirePermission, requireSelfOrRole } = require('../middleware/auth');
+const {
+  SURFACES,
+  CONDITIONS,
+  fdiToUniversal,
+  parseTooth,
+  normalizeSurfaces,
+  chartAsOf
+} = require('../utils/odontogram');
+
+const router = express.Router();
+
+// Chart entries are append-only: a newer entry ends the ones it supersedes
+// (ended_at / ended_by_entry_id), so the chart on any past date can be rebuilt.
+// A backdated entry is ended the same way by a later entry that supersedes it.
+
+const validateNumbering = query('numbering')
+  .optional()
+  .isIn(['fdi', 'universal'])
+  .withMessage('numbering must be fdi or universal');
+
+const loadEntries = async (patientId, tooth = null) => {
+  let q = supabase
+    .from('tooth_chart_entries')
+    .select('*')
+    .eq('patient_id', patientId)
+    .eq('is_deleted', false)
+    .order('recorded_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (tooth) q = q.eq('tooth', tooth);
+
+  const { data, error } = await q;
+  if (error) throw error;
+  return data;
+};
+
+const withUniversal = (entry) => ({ ...entry, universal: fdiToUniversal(entry.tooth) });
+
+// End (or split) active entries on the tooth that the new entry supersedes
+const supersede = async (entry) => {
+  const rule = CONDITIONS[entry.condition];
+  if (rule.supersedes.length === 0) return;
+
+  const { data: active, error } = await supabase
+    .from('tooth_chart_entries')
+    .select('*')
+    .eq('patient_id', entry.patient_id)
+    .eq('tooth', entry.tooth)
+    .eq('is_deleted', false)
+    .is('ended_at', null)
+    .in('condition', rule.supersedes)
+    .lte('recorded_at', entry.recorded_at)
+    .neq('id', entry.id);
+
+  if (error) throw error;
+
+  const covered = new Set(entry.surfaces || []);
+  const wholeTooth = covered.size === 0;
+
+  for (const old of active) {
+    const oldSurfaces = old.surfaces || [];
+    const overlap = wholeTooth || oldSurfaces.length === 0 || oldSurfaces.some(s => covered.has(s));
+    if (!overlap) continue;
+
+    await supabase
+      .from('tooth_chart_entries')
+      .update({ ended_at: entry.recorded_at, ended_by_entry_id: entry.id })
+      .eq('id', old.id);
+
+    // Caries MO + filling O → caries stays on M
+    const remaining = wholeTooth ? [] : oldSurfaces.filter(s => !covered.has(s));
+    if (remaining.length > 0) {
+      const { id, created_at, ended_at, ended_by_entry_id, ...rest } = old;
+      await supabase.from('tooth_chart_entries').insert({
+        ...rest,
+        surfaces: remaining,
+        recorded_at: entry.recorded_at,
+        split_from_entry_id: old.id,
+        split_by_entry_id: entry.id
+      });
+    }
+  }
+};
+
+// A backdated entry only lasts until a later entry on the tooth that supersedes it;
+// surfaces that later entry doesn't cover carry on as a split (clipped the same way)
+const clipToLater = async (entry) => {
+  const { data: later, error } = await supabase
+    .from('tooth_chart_entries')
+    .select('*')
+    .eq('patient_id', entry.patient_id)
+    .eq('tooth', entry.tooth)
+    .eq('is_deleted', false)
+    .gt('recorded_at', entry.recorded_at)
+    .order('recorded_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+
+  const surfaces = entry.surfaces || [];
+  const next = later.find(l => {
+    if (!CONDITIONS[l.condition]?.supersedes.includes(entry.condition)) return false;
+    const laterSurfaces = l.surfaces || [];
+    return laterSurfaces.length === 0 || surfaces.length === 0 || surfaces.some(s => laterSurfaces.includes(s));
+  });
+
+  if (!next) return entry;
+
+  const { data: clipped, error: clipError } = await supabase
+    .from('tooth_chart_entries')
+    .update({ ended_at: next.recorded_at, ended_by_entry_id: next.id })
+    .eq('id', entry.id)
+    .select()
+    .single();
+
+  if (clipError) throw clipError;
+
+  const nextSurfaces = next.surfaces || [];
+  const remaining = nextSurfaces.length === 0 ? [] : surfaces.filter(s => !nextSurfaces.includes(s));
+  if (remaining.length > 0) {
+    const { id, created_at, ended_at, ended_by_entry_id, ...rest } = entry;
+    const { data: split, error: splitError } = await supabase
+      .from('tooth_chart_entries')
+      .insert({
+        ...rest,
+        surfaces: remaining,
+        recorded_at: next.recorded_at,
+        split_from_entry_id: entry.id,
+        split_by_entry_id: next.id
+      })
+      .select()
+      .single();
+
+    if (splitError) throw splitError;
+    await clipToLater(split);
+  }
+
+  return clipped;
+};
+
+// GET numbering, surfaces and conditions for the chart UI
+router.get('/meta', authenticate, (req, res) => {
+  res.json({
+    numbering: ['fdi', 'universal'],
+    surfaces: SURFACES,
+    conditions: Object.fromEntries(Object.entries(CONDITIONS).map(([code, c]) => [code, {
+      label: c.label,
+      surfaces: c.surfaces,
+      supersedes: c.supersedes
+    }]))
+  });
+});
+
+// GET chart for a patient, as of now or ?as_of=date
+router.get(
+  '/patients/:patientId',
+  requireSelfOrRole('patientId', 'dentist', 'admin'),
+  query('as_of').optional().isISO8601().withMessage('as_of must be a date'),
+  validateNumbering,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const asOf = req.query.as_of ? new Date(req.query.as_of) : new Date();
+      const numbering = req.query.numbering || 'fdi';
+
+      const entries = await loadEntries(req.params.patientId);
+
+      res.json({
+        patient_id: req.params.patientId,
+        as_of: asOf.toISOString(),
+        numbering,
+        teeth: chartAsOf(entries.map(withUniversal), asOf, numbering)
+      });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// GET every chart event for a patient (optionally one tooth, ?tooth=&numbering=)
+router.get(
+  '/patients/:patientId/history',
+  requireSelfOrRole('patientId', 'dentist', 'admin'),
+  validateNumbering,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let tooth = null;
+      if (req.query.tooth) {
+        tooth = parseTooth(req.query.tooth, req.query.numbering);
+        if (!tooth) return res.status(400).json({ message: "Invalid tooth number" });
+      }
+
+      const entries = await loadEntries(req.params.patientId, tooth);
+      res.json({ patient_id: req.params.patientId, tooth, entries: entries.map(withUniversal) });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// POST chart a tooth / surfaces
+router.post(
+  '/patients/:patientId/entries',
+  requirePermission('records:write'),
+  body('tooth').notEmpty().withMessage('tooth is required'),
+  body('numbering').optional().isIn(['fdi', 'universal']).withMessage('numbering must be fdi or universal'),
+  body('condition').isIn(Object.keys(CONDITIONS)).withMessage(`condition must be one of ${Object.keys(CONDITIONS).join(', ')}`),
+  body('surfaces').optional().isArray().withMessage('surfaces must be an array'),
+  body('surfaces.*').isIn(Object.keys(SURFACES)).withMessage(`surfaces must be among ${Object.keys(SURFACES).join(', ')}`),
+  body('record_id').optional().isNumeric().withMessage('record_id must be numeric'),
+  body('service_id').optional().isNumeric().withMessage('service_id must be numeric'),
+  body('recorded_at').optional().isISO8601().withMessage('recorded_at must be a date'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patientId } = req.params;
+      const { condition, material, notes, record_id, service_id } = req.body;
+
+      const tooth = parseTooth(req.body.tooth, req.body.numbering);
+      if (!tooth) return res.status(400).json({ message: "Invalid tooth number" });
+
+      const rule = CONDITIONS[condition];
+      const surfaces = normalizeSurfaces(req.body.surfaces);
+      if (rule.surfaces === true && surfaces.length === 0) {
+        return res.status(400).json({ message: `${rule.label} needs at least one surface` });
+      }
+      if (rule.surfaces === false && surfaces.length > 0) {
+        return res.status(400).json({ message: `${rule.label} applies to the whole tooth, leave surfaces empty` });
+      }
+
+      const { data: patient } = await supabase
+        .from('users')
+        .select('id, firstname, lastname')
+        .eq('id', patientId)
+        .eq('usertype', 'patient')
+        .eq('is_deleted', false)
+        .maybeSingle();
+
+      if (!patient) return res.status(404).json({ message: "Patient not found" });
+
+      // ✅ Record must be this patient's; the service must be one done in that record
+      let record = null;
+      if (record_id) {
+        const { data } = await supabase
+          .from('dental_records')
+          .select('id, patient_id, dentist_id, visit_date')
+          .eq('id', record_id)
+          .eq('is_deleted', false)
+          .maybeSingle();
+
+        if (!data || data.patient_id !== patientId) {
+          return res.status(400).json({ message: "Record does not belong to this patient" });
+        }
+        if (req.user.usertype === 'dentist' && data.dentist_id !== req.user.id) {
+          return res.status(403).json({ message: "Only the dentist who wrote this record can chart from it" });
+        }
+        record = data;
+      }
+
+      if (service_id) {
+        const { data: service } = await supabase
+          .from('services')
+          .select('id')
+          .eq('id', service_id)
+          .maybeSingle();
+
+        if (!service) return res.status(404).json({ message: "Service not found" });
+
+        if (record) {
+          const { data: link } = await supabase
+            .from('record_services')
+            .select('service_id')
+            .eq('record_id', record.id)
+            .eq('service_id', service_id)
+            .maybeSingle();
+
+          if (!link) return res.status(400).json({ message: "Service is not part of that record" });
+        }
+      }
+
+      const recordedAt = req.body.recorded_at
+        ? new Date(req.body.recorded_at)
+        : record ? new Date(record.visit_date) : new Date();
+
+      const { data: entry, error } = await supabase
+        .from('tooth_chart_entries')
+        .insert({
+          patient_id: patientId,
+          tooth,
+          surfaces: surfaces.length > 0 ? surfaces : null,
+          condition,
+          material: material || null,
+          notes: notes || null,
+          record_id: record?.id || null,
+          service_id: service_id ? Number(service_id) : null,
+          recorded_at: recordedAt.toISOString(),
+          recorded_by: req.user.id
+        })
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ message: error.message });
+
+      await supersede(entry);
+      const saved = await clipToLater(entry);
+
+      await supabase.from('activity_logs').insert({
+        admin_id: req.user.id,
+        action: 'chart_tooth',
+        table_name: 'tooth_chart_entries',
+        record_id: String(entry.id),
+        description: `Charted ${rule.label} on tooth ${tooth}${surfaces.length ? ` (${surfaces.join('')})` : ''} for ${patient.firstname} ${patient.lastname}`
+      });
+
+      res.status(201).json({ message: 'Tooth charted', entry: withUniversal(saved) });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// DELETE void a charting mistake; entries it ended come back, its splits go away
+router.delete('/entries/:id', requirePermission('records:write'), async (req, res) => {
+  try {
+    const { data: entry } = await supabase
+      .from('tooth_chart_entries')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('is_deleted', false)
+      .maybeSingle();
+
+    if (!entry) return res.status(404).json({ message: "Chart entry not found" });
+
+    if (entry.ended_at) {
+      return res.status(409).json({ message: "A newer entry replaced this one, void that one first" });
+    }
+
+    const { error } = await supabase
+      .from('tooth_chart_entries')
+      .update({ is_deleted: true, void_reason: req.body?.reason || null })
+      .eq('id', entry.id);
+
+    if (error) return res.status(400).json({ message: error.message });
+
+    await supabase
+      .from('tooth_chart_entries')
+      .update({ is_deleted: true })
+      .eq('split_by_entry_id', entry.id);
+
+    await supabase
+      .from('tooth_chart_entries')
+      .update({ ended_at: null, ended_by_entry_id: null })
+      .eq('ended_by_entry_id', entry.id);
+
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: 'void_chart_entry',
+      table_name: 'tooth_chart_entries',
+      record_id: String(entry.id),
+      description: `Voided ${CONDITIONS[entry.condition]?.label || entry.condition} on tooth ${entry.tooth}${req.body?.reason ? `: ${req.body.reason}` : ''}`
+    });
+
+    res.json({ message: 'Chart entry voided' });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,450 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getTermsOn } = require('../utils/pricing');
+const { dentistTreatsPatient, canAccessPatient } = require('../utils/access');
+
+const router = express.Router();
+
+const INTERVAL_DAYS = { weekly: 7, biweekly: 14 };
+const PAYMENT_METHODS = ['cash', 'card', 'e-wallet'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Add whole months to a YYYY-MM-DD date, clamping to the end of shorter months
+const addMonths = (day, months) => {
+  const [y, m, d] = day.split('-').map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Split total into equal installments (in cents); the last one absorbs the rounding
+const buildSchedule = ({ total, times, interval, customDays, startDate }) => {
+  const cents = Math.round(Number(total) * 100);
+  const base = Math.floor(cents / times);
+
+  return Array.from({ length: times }, (_, i) => {
+    let due_date;
+    if (interval === 'monthly') due_date = addMonths(startDate, i);
+    else if (interval === 'custom') due_date = addDays(startDate, customDays * i);
+    else due_date = addDays(startDate, INTERVAL_DAYS[interval] * i);
+
+    const amountCents = i === times - 1 ? cents - base * (times - 1) : base;
+
+    return {
+      seq: i + 1,
+      due_date,
+      amount: amountCents / 100,
+      amount_paid: 0,
+      status: 'unpaid'
+    };
+  });
+};
+
+// Load a plan with its installments and make sure the caller may see it
+const loadPlan = async (req, res) => {
+  const { data: plan, error } = await supabase
+    .from('installment_plans')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!plan) {
+    res.status(404).json({ message: "Installment plan not found" });
+    return null;
+  }
+
+  if (!(await canAccessPatient(req.user, plan.patient_id))) {
+    res.status(403).json({ message: "Access denied" });
+    return null;
+  }
+
+  const { data: items, error: itemsError } = await supabase
+    .from('installment_items')
+    .select('*')
+    .eq('plan_id', plan.id)
+    .order('seq', { ascending: true });
+
+  if (itemsError) throw itemsError;
+
+  return { ...plan, items };
+};
+
+// Which patients' plans a list may include (same rule as records); null = access denied.
+// Dentists name a patient they treat, or get the plans they set up themselves.
+const planScope = async (user, patientId) => {
+  if (user.usertype === 'patient') return { patient_id: user.id };
+  if (user.usertype === 'admin') return patientId ? { patient_id: patientId } : {};
+  if (user.usertype !== 'dentist') return null;
+
+  if (!patientId) return { created_by: user.id };
+  return (await dentistTreatsPatient(user.id, patientId)) ? { patient_id: patientId } : null;
+};
+
+const summarize = (plan) => {
+  const paid = plan.items.reduce((sum, i) => sum + Math.round(Number(i.amount_paid) * 100), 0);
+  const total = Math.round(Number(plan.total_amount) * 100);
+  const overdue = plan.items.filter(i => i.status !== 'paid' && i.due_date < today());
+
+  return {
+    total_paid: paid / 100,
+    remaining: (total - paid) / 100,
+    overdue_count: overdue.length,
+    next_due: plan.items.find(i => i.status !== 'paid') || null
+  };
+};
+
+// GET plans (patients see their own, dentists the patients they treat, admins all)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { patient_id, status } = req.query;
+
+    const scope = await planScope(req.user, patient_id);
+    if (!scope) return res.status(403).json({ message: "Access denied" });
+
+    let q = supabase
+      .from('installment_plans')
+      .select('*, services(id, name)')
+      .order('created_at', { ascending: false });
+
+    Object.entries(scope).forEach(([column, value]) => { q = q.eq(column, value); });
+
+    if (status) q = q.eq('status', status);
+
+    const { data, error } = await q;
+    if (error) return res.status(400).json({ message: error.message });
+
+    res.json({ plans: data });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET overdue installments
+router.get('/overdue', authenticate, async (req, res) => {
+  try {
+    const scope = await planScope(req.user, req.query.patient_id);
+    if (!scope) return res.status(403).json({ message: "Access denied" });
+
+    let q = supabase
+      .from('installment_items')
+      .select('*, installment_plans!inner(id, patient_id, service_id, status, created_by)')
+      .neq('status', 'paid')
+      .lt('due_date', today())
+      .eq('installment_plans.status', 'active')
+      .order('due_date', { ascending: true });
+
+    Object.entries(scope).forEach(([column, value]) => { q = q.eq(`installment_plans.${column}`, value); });
+
+    const { data, error } = await q;
+    if (error) return res.status(400).json({ message: error.message });
+
+    const overdue = data.map(({ installment_plans: plan, ...item }) => ({
+      ...item,
+      plan_id: plan.id,
+      patient_id: plan.patient_id,
+      service_id: plan.service_id,
+      outstanding: (Math.round(Number(item.amount) * 100) - Math.round(Number(item.amount_paid) * 100)) / 100
+    }));
+
+    res.json({ overdue });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET single plan with schedule and payments
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    const { data: payments } = await supabase
+      .from('installment_payments')
+      .select('*')
+      .eq('plan_id', plan.id)
+      .order('paid_at', { ascending: true });
+
+    res.json({ plan: { ...plan, payments: payments || [] }, summary: summarize(plan) });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST create plan from a service's installment settings
+router.post(
+  '/',
+  authenticate,
+  body('service_id').isNumeric().withMessage('Service is required'),
+  body('start_date').optional().isISO8601({ strict: true }).withMessage('start_date must be YYYY-MM-DD'),
+  body('record_id').optional().isNumeric().withMessage('record_id must be numeric'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id: userId, usertype } = req.user;
+      const patientId = usertype === 'patient' ? userId : req.body.patient_id;
+      if (!patientId) return res.status(400).json({ message: "patient_id is required" });
+
+      const { data: patient } = await supabase
+        .from('users')
+        .select('id, firstname, lastname')
+        .eq('id', patientId)
+        .eq('usertype', 'patient')
+        .eq('is_deleted', false)
+        .maybeSingle();
+
+      if (!patient) return res.status(404).json({ message: "Patient not found" });
+
+      if (usertype === 'dentist' && !(await dentistTreatsPatient(userId, patientId))) {
+        return res.status(403).json({ message: "Access denied" });
+      }
+
+      // ✅ Linked record must exist and belong to the patient
+      if (req.body.record_id) {
+        const { data: record } = await supabase
+          .from('dental_records')
+          .select('id, patient_id')
+          .eq('id', req.body.record_id)
+          .eq('is_deleted', false)
+          .maybeSingle();
+
+        if (!record) return res.status(404).json({ message: "Record not found" });
+        if (record.patient_id !== patientId) {
+          return res.status(400).json({ message: "Record belongs to another patient" });
+        }
+      }
+
+      const { data: service } = await supabase
+        .from('services')
+        .select('*')
+        .eq('id', req.body.service_id)
+        .eq('is_deleted', false)
+        .maybeSingle();
+
+      if (!service) return res.status(404).json({ message: "Service not found" });
+
+      // ✅ Price and terms in effect today (a scheduled change may not be applied yet)
+      const terms = await getTermsOn(service);
+
+      // ✅ Service installment settings must be usable
+      if (!terms.allow_installment) {
+        return res.status(400).json({ message: "Service does not allow installments" });
+      }
+
+      const times = Number(terms.installment_times);
+      const interval = terms.installment_interval;
+      const customDays = Number(terms.custom_interval_days);
+
+      if (!Number.isInteger(times) || times < 1) {
+        return res.status(400).json({ message: "Service has no valid installment_times" });
+      }
+      if (interval !== 'monthly' && interval !== 'custom' && !INTERVAL_DAYS[interval]) {
+        return res.status(400).json({ message: `Unsupported installment_interval: ${interval}` });
+      }
+      if (interval === 'custom' && (!Number.isInteger(customDays) || customDays < 1)) {
+        return res.status(400).json({ message: "Service has no valid custom_interval_days" });
+      }
+
+      const startDate = (req.body.start_date || today()).slice(0, 10);
+      const schedule = buildSchedule({ total: terms.price, times, interval, customDays, startDate });
+
+      const { data: plan, error: planError } = await supabase
+        .from('installment_plans')
+        .insert({
+          patient_id: patientId,
+          service_id: service.id,
+          record_id: req.body.record_id || null,
+          total_amount: terms.price,
+          installment_times: times,
+          installment_interval: interval,
+          custom_interval_days: interval === 'custom' ? customDays : null,
+          start_date: startDate,
+          status: 'active',
+          created_by: userId
+        })
+        .select()
+        .single();
+
+      if (planError) return res.status(400).json({ message: planError.message });
+
+      const { data: items, error: itemsError } = await supabase
+        .from('installment_items')
+        .insert(schedule.map(item => ({ ...item, plan_id: plan.id })))
+        .select()
+        .order('seq', { ascending: true });
+
+      if (itemsError) {
+        await supabase.from('installment_plans').delete().eq('id', plan.id);
+        return res.status(400).json({ message: itemsError.message });
+      }
+
+      await supabase.from('activity_logs').insert({
+        admin_id: userId,
+        action: 'CREATE',
+        table_name: 'installment_plans',
+        record_id: String(plan.id),
+        description: `Created ${times}-part ${interval} plan for ${service.name} (${patient.firstname} ${patient.lastname})`,
+        undo_data: { ...plan, items: schedule }
+      });
+
+      res.status(201).json({ message: 'Installment plan created', plan: { ...plan, items } });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// POST record a payment (applied to the oldest unpaid installments first)
+router.post(
+  '/:id/payments',
+  requirePermission('installments:collect'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('method').isIn(PAYMENT_METHODS).withMessage(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      if (plan.status !== 'active') {
+        return res.status(400).json({ message: `Cannot pay a ${plan.status} plan` });
+      }
+
+      const { method, note } = req.body;
+      let leftCents = Math.round(Number(req.body.amount) * 100);
+      const remainingCents = Math.round(summarize(plan).remaining * 100);
+
+      if (leftCents > remainingCents) {
+        return res.status(400).json({ message: `Payment exceeds remaining balance of ${remainingCents / 100}` });
+      }
+
+      const paidAt = new Date().toISOString();
+      const allocations = [];
+
+      // ✅ Allocate across installments in order (nothing written yet)
+      for (const item of plan.items) {
+        if (leftCents === 0) break;
+
+        const paidCents = Math.round(Number(item.amount_paid) * 100);
+        const dueCents = Math.round(Number(item.amount) * 100) - paidCents;
+        if (dueCents <= 0) continue;
+
+        const applied = Math.min(dueCents, leftCents);
+        leftCents -= applied;
+
+        const fullyPaid = applied === dueCents;
+        allocations.push({
+          item,
+          change: {
+            amount_paid: (paidCents + applied) / 100,
+            status: fullyPaid ? 'paid' : 'partial',
+            paid_at: fullyPaid ? paidAt : null
+          },
+          summary: { installment_id: item.id, seq: item.seq, amount: applied / 100 }
+        });
+      }
+
+      // ✅ Payment row first, so items are never marked paid without one
+      const { data: payment, error: paymentError } = await supabase
+        .from('installment_payments')
+        .insert({
+          plan_id: plan.id,
+          amount: Number(req.body.amount),
+          method,
+          note,
+          allocations: allocations.map(a => a.summary),
+          paid_at: paidAt,
+          recorded_by: req.user.id
+        })
+        .select()
+        .single();
+
+      if (paymentError) return res.status(400).json({ message: paymentError.message });
+
+      // ✅ Each item only moves from the amount we read (compare-and-set): a concurrent
+      // payment makes this fail instead of overpaying, and everything is rolled back
+      const applied = [];
+      let failure = null;
+
+      for (const allocation of allocations) {
+        const { data: updated, error } = await supabase
+          .from('installment_items')
+          .update(allocation.change)
+          .eq('id', allocation.item.id)
+          .eq('amount_paid', allocation.item.amount_paid)
+          .select('id');
+
+        if (error || !updated?.length) {
+          failure = error;
+          break;
+        }
+        applied.push(allocation);
+      }
+
+      if (applied.length < allocations.length) {
+        for (const { item, change } of applied) {
+          await supabase
+            .from('installment_items')
+            .update({ amount_paid: item.amount_paid, status: item.status, paid_at: item.paid_at })
+            .eq('id', item.id)
+            .eq('amount_paid', change.amount_paid);
+        }
+        await supabase.from('installment_payments').delete().eq('id', payment.id);
+
+        if (failure) return res.status(400).json({ message: failure.message });
+        return res.status(409).json({ message: "Plan was paid by someone else meanwhile, reload and try again" });
+      }
+
+      // ✅ Close the plan once everything is paid
+      const completed = Math.round(Number(req.body.amount) * 100) === remainingCents;
+      if (completed) {
+        await supabase
+          .from('installment_plans')
+          .update({ status: 'completed', completed_at: paidAt })
+          .eq('id', plan.id);
+      }
+
+      await supabase.from('activity_logs').insert({
+        admin_id: req.user.id,
+        action: 'CREATE',
+        table_name: 'installment_payments',
+        record_id: String(payment.id),
+        description: `Recorded ${method} payment of ${payment.amount} on plan #${plan.id}`,
+        undo_data: payment
+      });
+
+      res.status(201).json({
+        message: completed ? 'Payment recorded, plan fully paid' : 'Payment recorded',
+        payment
+      });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+module.exports = router;
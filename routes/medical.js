@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { authenticate, requirePermission, requireRole, requireSelfOrRole } = require('../middleware/auth');
+const {
+  ALLERGY_CODES,
+  ALLERGY_GROUPS,
+  CONDITION_CODES,
+  ALLERGY_SEVERITIES,
+  CONDITION_STATUSES,
+  findAlerts
+} = require('../utils/clinicalAlerts');
+
+const router = express.Router();
+
+// Allergies and conditions share routes; only table, codes and fields differ
+const ENTRY_TYPES = {
+  allergies: {
+    table: 'patient_allergies',
+    label: 'allergy',
+    title: 'Allergy',
+    codes: ALLERGY_CODES,
+    fields: ['code', 'name', 'severity', 'reaction', 'notes'],
+    validators: (optional) => [
+      (optional ? body('code').optional() : body('code')).isIn(Object.keys(ALLERGY_CODES)).withMessage('Unknown allergy code'),
+      (optional ? body('severity').optional() : body('severity')).isIn(ALLERGY_SEVERITIES).withMessage(`severity must be one of ${ALLERGY_SEVERITIES.join(', ')}`),
+      body('reaction').optional({ values: 'null' }).isString(),
+      body('name').optional({ values: 'null' }).isString()
+    ]
+  },
+  conditions: {
+    table: 'patient_conditions',
+    label: 'condition',
+    title: 'Condition',
+    codes: CONDITION_CODES,
+    fields: ['code', 'name', 'onset_date', 'status', 'notes'],
+    validators: (optional) => [
+      (optional ? body('code').optional() : body('code')).isIn(Object.keys(CONDITION_CODES)).withMessage('Unknown condition code'),
+      body('status').optional().isIn(CONDITION_STATUSES).withMessage(`status must be one of ${CONDITION_STATUSES.join(', ')}`),
+      body('onset_date').optional({ values: 'null' }).isISO8601({ strict: true }).withMessage('onset_date must be YYYY-MM-DD'),
+      body('name').optional({ values: 'null' }).isString()
+    ]
+  }
+};
+
+const pickFields = (type, source) =>
+  Object.fromEntries(type.fields.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+
+// GET code lists for the forms
+router.get('/codes', authenticate, (req, res) => {
+  res.json({
+    allergies: ALLERGY_CODES,
+    allergy_groups: ALLERGY_GROUPS,
+    allergy_severities: ALLERGY_SEVERITIES,
+    conditions: CONDITION_CODES,
+    condition_statuses: CONDITION_STATUSES
+  });
+});
+
+// GET a patient's allergies and conditions
+router.get('/patients/:patientId', requireSelfOrRole('patientId', 'dentist', 'admin'), async (req, res) => {
+  try {
+    const [allergies, conditions] = await Promise.all(Object.values(ENTRY_TYPES).map(async (type) => {
+      const { data, error } = await supabase
+        .from(type.table)
+        .select('*')
+        .eq('patient_id', req.params.patientId)
+        .eq('is_deleted', false)
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      return data;
+    }));
+
+    res.json({ patient_id: req.params.patientId, allergies, conditions });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET alerts for giving services to a patient (?service_ids=1,2)
+router.get(
+  '/patients/:patientId/alerts',
+  requireRole('dentist', 'admin'),
+  query('service_ids').notEmpty().withMessage('service_ids is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const alerts = await findAlerts(req.params.patientId, String(req.query.service_ids).split(','));
+      res.json({ alerts });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// POST add an allergy / condition
+const createEntry = (kind) => async (req, res) => {
+  const type = ENTRY_TYPES[kind];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data: patient } = await supabase
+      .from('users')
+      .select('id, firstname, lastname')
+      .eq('id', req.params.patientId)
+      .eq('usertype', 'patient')
+      .eq('is_deleted', false)
+      .maybeSingle();
+
+    if (!patient) return res.status(404).json({ message: "Patient not found" });
+
+    if (req.body.code === 'other' && !req.body.name) {
+      return res.status(400).json({ message: `name is required for an "other" ${type.label}` });
+    }
+
+    const { data: entry, error } = await supabase
+      .from(type.table)
+      .insert({
+        ...pickFields(type, req.body),
+        ...(kind === 'conditions' ? { status: req.body.status || 'active' } : {}),
+        patient_id: patient.id,
+        recorded_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) return res.status(400).json({ message: error.message });
+
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: `add_${type.label}`,
+      table_name: type.table,
+      record_id: String(entry.id),
+      description: `Added ${type.label} ${entry.name || type.codes[entry.code]} for ${patient.firstname} ${patient.lastname}`
+    });
+
+    res.status(201).json({ message: `${type.title} added`, [type.label]: entry });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// PUT update an allergy / condition (previous values kept in the log)
+const updateEntry = (kind) => async (req, res) => {
+  const type = ENTRY_TYPES[kind];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data: previous } = await supabase
+      .from(type.table)
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('is_deleted', false)
+      .maybeSingle();
+
+    if (!previous) return res.status(404).json({ message: `${type.title} not found` });
+
+    const changes = pickFields(type, req.body);
+    if (Object.keys(changes).length === 0) return res.status(400).json({ message: "Nothing to update" });
+
+    // Same rule as on create, checked against the entry as it will be saved
+    const merged = { ...previous, ...changes };
+    if (merged.code === 'other' && !merged.name) {
+      return res.status(400).json({ message: `name is required for an "other" ${type.label}` });
+    }
+
+    const { data: entry, error } = await supabase
+      .from(type.table)
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', previous.id)
+      .select()
+      .single();
+
+    if (error) return res.status(400).json({ message: error.message });
+
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: `update_${type.label}`,
+      table_name: type.table,
+      record_id: String(entry.id),
+      description: `Updated ${type.label} ${entry.name || type.codes[entry.code]}`,
+      undo_data: {
+        primary_key: 'id',
+        table: type.table,
+        data: Object.fromEntries(Object.keys(changes).map(f => [f, previous[f]]))
+      }
+    });
+
+    res.json({ message: `${type.title} updated`, [type.label]: entry });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// DELETE an allergy / condition (soft)
+const deleteEntry = (kind) => async (req, res) => {
+  const type = ENTRY_TYPES[kind];
+
+  try {
+    const { data: entry, error } = await supabase
+      .from(type.table)
+      .update({ is_deleted: true, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('is_deleted', false)
+      .select()
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ message: error.message });
+    if (!entry) return res.status(404).json({ message: `${type.title} not found` });
+
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: `delete_${type.label}`,
+      table_name: type.table,
+      record_id: String(entry.id),
+      description: `Removed ${type.label} ${entry.name || type.codes[entry.code]}`
+    });
+
+    res.json({ message: `${type.title} removed` });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+Object.entries(ENTRY_TYPES).forEach(([kind, type]) => {
+  router.post(`/patients/:patientId/${kind}`, requirePermission('records:write'), type.validators(false), createEntry(kind));
+  router.put(`/${kind}/:id`, requirePermission('records:write'), type.validators(true), updateEntry(kind));
+  router.delete(`/${kind}/:id`, requirePermission('records:write'), deleteEntry(kind));
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ROLES = ['patient', 'dentist', 'admin'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const READ_ALL_BATCH_SIZE = 500;
+
+// Notifications addressed to this user, their role, or everyone
+const visibleTo = (q, user) =>
+  q.or(`recipient_id.eq.${user.id},recipient_role.eq.${user.usertype},and(recipient_id.is.null,recipient_role.is.null)`);
+
+// This user's read/deleted markers, joined in the database: each alias embeds
+// notification_states filtered to the caller, and `is null` on it is an anti-join.
+// (Loading the ids and sending not.in.(...) grew the URL with every read notification.)
+const stateSelect = (columns, unreadOnly) => [
+  columns,
+  'state:notification_states!left(read_at)',
+  'deleted:notification_states!left(notification_id)',
+  ...(unreadOnly ? ['read:notification_states!left(notification_id)'] : [])
+].join(', ');
+
+const withState = (q, userId, unreadOnly) => {
+  q = q
+    .eq('state.user_id', userId)
+    .eq('deleted.user_id', userId)
+    .not('deleted.deleted_at', 'is', null)
+    .is('deleted', null);
+
+  if (unreadOnly) {
+    q = q
+      .eq('read.user_id', userId)
+      .not('read.read_at', 'is', null)
+      .is('read', null);
+  }
+  return q;
+};
+
+// Notifications still in the caller's inbox (optionally unread only)
+const inbox = (user, columns, { unreadOnly = false, count, head } = {}) =>
+  withState(
+    visibleTo(supabase.from('notifications').select(stateSelect(columns, unreadOnly), { count, head }), user),
+    user.id,
+    unreadOnly
+  );
+
+// Drop the join columns from a row
+const toNotification = ({ state, deleted, read, ...notification }) => ({
+  ...notification,
+  is_read: !!state?.[0]?.read_at
+});
+
+// Make sure the notification exists and is addressed to the caller
+const findVisible = async (user, id) => {
+  const { data } = await visibleTo(
+    supabase.from('notifications').select('id').eq('id', id),
+    user
+  ).maybeSingle();
+  return data;
+};
+
+const setState = (notificationIds, userId, fields) =>
+  supabase
+    .from('notification_states')
+    .upsert(
+      notificationIds.map(notification_id => ({ notification_id, user_id: userId, ...fields })),
+      { onConflict: 'notification_id,user_id' }
+    );
+
+// GET my notifications (newest first)
+router.get(
+  '/',
+  authenticate,
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be 1-${MAX_PAGE_SIZE}`),
+  query('offset').optional().isInt({ min: 0 }).withMessage('offset must be 0 or more'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const limit = Number(req.query.limit) || DEFAULT_PAGE_SIZE;
+      const offset = Number(req.query.offset) || 0;
+      const unreadOnly = req.query.unread_only === 'true';
+
+      const { data, count, error } = await inbox(req.user, '*', { unreadOnly, count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) return res.status(400).json({ message: error.message });
+
+      res.json({
+        notifications: data.map(toNotification),
+        total: count,
+        limit,
+        offset
+      });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// GET my unread count
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    const { count, error } = await inbox(req.user, 'id', { unreadOnly: true, count: 'exact', head: true });
+
+    if (error) return res.status(400).json({ message: error.message });
+
+    res.json({ unread: count || 0 });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST send a notification to a user, a role, or everyone (admin)
+router.post(
+  '/',
+  requirePermission('notifications:send'),
+  body('message').notEmpty().withMessage('Message is required'),
+  body('recipient_role').optional().isIn(ROLES).withMessage(`recipient_role must be one of: ${ROLES.join(', ')}`),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { message, type, recipient_id, recipient_role } = req.body;
+
+      if (recipient_id && recipient_role) {
+        return res.status(400).json({ message: "Target either recipient_id or recipient_role, not both" });
+      }
+
+      if (recipient_id) {
+        const { data: recipient } = await supabase
+          .from('users')
+          .select('id')
+          .eq('id', recipient_id)
+          .eq('is_deleted', false)
+          .maybeSingle();
+
+        if (!recipient) return res.status(404).json({ message: "Recipient not found" });
+      }
+
+      const { data: notification, error } = await supabase
+        .from('notifications')
+        .insert({
+          message,
+          type: type || 'announcement',
+          created_by: req.user.id,
+          recipient_id: recipient_id || null,
+          recipient_role: recipient_role || null
+        })
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ message: error.message });
+
+      res.status(201).json({ message: 'Notification sent', notification });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// PATCH mark all my notifications as read
+router.patch('/read-all', authenticate, async (req, res) => {
+  try {
+    const readAt = new Date().toISOString();
+    let updated = 0;
+    let lastId = null;
+
+    // 🔁 Walk the unread ids in batches so a big inbox isn't loaded at once
+    for (;;) {
+      let batchQuery = inbox(req.user, 'id', { unreadOnly: true })
+        .order('id', { ascending: true })
+        .limit(READ_ALL_BATCH_SIZE);
+      if (lastId !== null) batchQuery = batchQuery.gt('id', lastId);
+
+      const { data: unread, error } = await batchQuery;
+      if (error) return res.status(400).json({ message: error.message });
+      if (unread.length === 0) break;
+
+      const { error: stateError } = await setState(unread.map(n => n.id), req.user.id, { read_at: readAt });
+      if (stateError) return res.status(400).json({ message: stateError.message });
+
+      updated += unread.length;
+      lastId = unread[unread.length - 1].id;
+      if (unread.length < READ_ALL_BATCH_SIZE) break;
+    }
+
+    res.json({ message: 'All notifications marked as read', updated });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// PATCH mark one notification as read
+router.patch('/:id/read', authenticate, async (req, res) => {
+  try {
+    const notification = await findVisible(req.user, req.params.id);
+    if (!notification) return res.status(404).json({ message: "Notification not found" });
+
+    const { error } = await setState([notification.id], req.user.id, { read_at: new Date().toISOString() });
+    if (error) return res.status(400).json({ message: error.message });
+
+    res.json({ message: 'Notification marked as read' });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// DELETE remove a notification from my inbox
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const notification = await findVisible(req.user, req.params.id);
+    if (!notification) return res.status(404).json({ message: "Notification not found" });
+
+    const { error } = await setState([notification.id], req.user.id, { deleted_at: new Date().toISOString() });
+    if (error) return res.status(400).json({ message: error.message });
+
+    res.json({ message: 'Notification deleted' });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+module.exports = router;
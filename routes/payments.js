@@ -0,0 +1,411 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { authenticate, requirePermission, requireSelfOrRole } = require('../middleware/auth');
+const { getTermsOn, toInstant } = require('../utils/pricing');
+
+const router = express.Router();
+
+const PAYMENT_METHODS = ['cash', 'card', 'e-wallet'];
+const RECEIPT_COUNTER = 'receipt';
+
+// Effect of each entry type on what the patient owes
+const BALANCE_SIGN = { charge: 1, payment: -1, refund: 1, void: 0 };
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Reserve the next receipt number; compare-and-set so two requests never get the same one
+const nextReceiptNumber = async () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: counter, error } = await supabase
+      .from('receipt_counters')
+      .select('last_value')
+      .eq('name', RECEIPT_COUNTER)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!counter) {
+      const { error: insertError } = await supabase
+        .from('receipt_counters')
+        .insert({ name: RECEIPT_COUNTER, last_value: 1 });
+      if (!insertError) return 'OR-000001';
+      continue;
+    }
+
+    const next = counter.last_value + 1;
+    const { data: updated } = await supabase
+      .from('receipt_counters')
+      .update({ last_value: next })
+      .eq('name', RECEIPT_COUNTER)
+      .eq('last_value', counter.last_value)
+      .select();
+
+    if (updated?.length) return `OR-${String(next).padStart(6, '0')}`;
+  }
+
+  throw new Error('Could not reserve a receipt number, please retry');
+};
+
+// Sum of a payment's active refunds (payments from before refunded_amount existed)
+const refundedCentsOf = async (paymentId) => {
+  const { data: refunds, error } = await supabase
+    .from('ledger_entries')
+    .select('amount')
+    .eq('reference_id', paymentId)
+    .eq('entry_type', 'refund')
+    .eq('is_voided', false);
+
+  if (error) throw error;
+  return refunds.reduce((sum, r) => sum + toCents(r.amount), 0);
+};
+
+// Move a payment's refunded_amount by deltaCents with compare-and-set, so two refunds
+// at the same time can't together exceed the payment. Returns { error } when over the limit.
+const adjustRefunded = async (paymentId, deltaCents) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: payment, error } = await supabase
+      .from('ledger_entries')
+      .select('id, amount, refunded_amount, is_voided')
+      .eq('id', paymentId)
+      .single();
+
+    if (error) throw error;
+    if (payment.is_voided) return { error: "Cannot refund a voided payment" };
+
+    const currentCents = payment.refunded_amount === null
+      ? await refundedCentsOf(paymentId)
+      : toCents(payment.refunded_amount);
+    const nextCents = currentCents + deltaCents;
+
+    if (nextCents > toCents(payment.amount)) {
+      return { error: `Refund exceeds refundable amount of ${(toCents(payment.amount) - currentCents) / 100}` };
+    }
+
+    let q = supabase
+      .from('ledger_entries')
+      .update({ refunded_amount: Math.max(nextCents, 0) / 100 })
+      .eq('id', paymentId)
+      .eq('is_voided', false);
+
+    q = payment.refunded_amount === null ? q.is('refunded_amount', null) : q.eq('refunded_amount', payment.refunded_amount);
+
+    const { data: updated } = await q.select('id');
+    if (updated?.length) return {};
+  }
+
+  throw new Error('Could not update the refunded total, please retry');
+};
+
+const findPatient = async (patientId) => {
+  const { data } = await supabase
+    .from('users')
+    .select('id, firstname, lastname')
+    .eq('id', patientId)
+    .eq('usertype', 'patient')
+    .maybeSingle();
+  return data;
+};
+
+// All entries of a patient, oldest first, with running balance
+const getLedger = async (patientId) => {
+  const { data: entries, error } = await supabase
+    .from('ledger_entries')
+    .select('*')
+    .eq('patient_id', patientId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+
+  let balance = 0;
+  const withBalance = entries.map(entry => {
+    if (!entry.is_voided) balance += BALANCE_SIGN[entry.entry_type] * toCents(entry.amount);
+    return { ...entry, running_balance: balance / 100 };
+  });
+
+  return { entries: withBalance, balance: balance / 100 };
+};
+
+const insertEntry = async (entry, userId, description) => {
+  const { data, error } = await supabase
+    .from('ledger_entries')
+    .insert({ ...entry, description, created_by: userId })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await supabase.from('activity_logs').insert({
+    admin_id: userId,
+    action: `ledger_${entry.entry_type}`,
+    table_name: 'ledger_entries',
+    record_id: String(data.id),
+    description: `${description}${data.receipt_number ? ` (${data.receipt_number})` : ''}`,
+    undo_data: data
+  });
+
+  return data;
+};
+
+// GET a patient's ledger with running balance
+router.get('/patients/:patientId/ledger', requireSelfOrRole('patientId', 'dentist', 'admin'), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+
+    res.json(await getLedger(patientId));
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET a patient's current balance
+router.get('/patients/:patientId/balance', requireSelfOrRole('patientId', 'dentist', 'admin'), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+
+    const { balance } = await getLedger(patientId);
+    res.json({ patient_id: patientId, balance });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET entry by receipt number
+router.get('/receipts/:receiptNumber', authenticate, async (req, res) => {
+  try {
+    const { data: entry } = await supabase
+      .from('ledger_entries')
+      .select('*')
+      .eq('receipt_number', req.params.receiptNumber)
+      .maybeSingle();
+
+    if (!entry) return res.status(404).json({ message: "Receipt not found" });
+    if (req.user.usertype === 'patient' && entry.patient_id !== req.user.id) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const patient = await findPatient(entry.patient_id);
+    res.json({ receipt: { ...entry, patient } });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST charge for a service rendered (priced as of service_date, default today)
+router.post(
+  '/charges',
+  requirePermission('payments:record'),
+  body('patient_id').notEmpty().withMessage('Patient is required'),
+  body('service_id').isNumeric().withMessage('Service is required'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('record_id').optional().isNumeric().withMessage('record_id must be numeric'),
+  body('service_date').optional().isISO8601().withMessage('service_date must be a date'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patient_id, service_id, record_id, amount, service_date } = req.body;
+
+      const patient = await findPatient(patient_id);
+      if (!patient) return res.status(404).json({ message: "Patient not found" });
+
+      const { data: service } = await supabase
+        .from('services')
+        .select('id, name, price')
+        .eq('id', service_id)
+        .maybeSingle();
+
+      if (!service) return res.status(404).json({ message: "Service not found" });
+
+      const { price } = await getTermsOn(service, service_date ? toInstant(service_date) : new Date());
+
+      const entry = await insertEntry({
+        patient_id,
+        entry_type: 'charge',
+        amount: amount !== undefined ? Number(amount) : Number(price),
+        service_id: service.id,
+        record_id: record_id || null
+      }, req.user.id, req.body.description || `Charge for ${service.name}`);
+
+      res.status(201).json({ message: 'Charge recorded', entry });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// POST payment (issues a receipt)
+router.post(
+  '/',
+  requirePermission('payments:record'),
+  body('patient_id').notEmpty().withMessage('Patient is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('method').isIn(PAYMENT_METHODS).withMessage(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patient_id, amount, method, reference } = req.body;
+
+      const patient = await findPatient(patient_id);
+      if (!patient) return res.status(404).json({ message: "Patient not found" });
+
+      const receiptNumber = await nextReceiptNumber();
+
+      const entry = await insertEntry({
+        patient_id,
+        entry_type: 'payment',
+        amount: Number(amount),
+        method,
+        external_reference: reference || null,
+        receipt_number: receiptNumber
+      }, req.user.id, req.body.description || `Payment (${method}) from ${patient.firstname} ${patient.lastname}`);
+
+      const { balance } = await getLedger(patient_id);
+
+      res.status(201).json({ message: 'Payment recorded', entry, balance });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// POST refund against a payment
+router.post(
+  '/:id/refund',
+  requirePermission('payments:adjust'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reason').notEmpty().withMessage('Reason is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: payment } = await supabase
+        .from('ledger_entries')
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+      if (!payment || payment.entry_type !== 'payment') {
+        return res.status(404).json({ message: "Payment not found" });
+      }
+      if (payment.is_voided) return res.status(400).json({ message: "Cannot refund a voided payment" });
+
+      // ✅ Cannot refund more than what is left of the payment (reserved before the entry is written)
+      const refundCents = toCents(req.body.amount);
+      const reserved = await adjustRefunded(payment.id, refundCents);
+      if (reserved.error) return res.status(400).json({ message: reserved.error });
+
+      let entry;
+      try {
+        const receiptNumber = await nextReceiptNumber();
+
+        entry = await insertEntry({
+          patient_id: payment.patient_id,
+          entry_type: 'refund',
+          amount: Number(req.body.amount),
+          method: req.body.method || payment.method,
+          reference_id: payment.id,
+          receipt_number: receiptNumber
+        }, req.user.id, `Refund of ${payment.receipt_number}: ${req.body.reason}`);
+      } catch (err) {
+        await adjustRefunded(payment.id, -refundCents);
+        throw err;
+      }
+
+      res.status(201).json({ message: 'Refund recorded', entry });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// POST void an entry (kept for audit, excluded from balance; receipt number stays used)
+router.post(
+  '/:id/void',
+  requirePermission('payments:adjust'),
+  body('reason').notEmpty().withMessage('Reason is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: target } = await supabase
+        .from('ledger_entries')
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+      if (!target) return res.status(404).json({ message: "Entry not found" });
+      if (target.entry_type === 'void') return res.status(400).json({ message: "Cannot void a void entry" });
+      if (target.is_voided) return res.status(400).json({ message: "Entry is already voided" });
+
+      // ✅ A payment's refunds would stay in the balance without it, so they go first
+      if (target.entry_type === 'payment') {
+        const { data: refunds, error: refundError } = await supabase
+          .from('ledger_entries')
+          .select('id, amount, receipt_number')
+          .eq('reference_id', target.id)
+          .eq('entry_type', 'refund')
+          .eq('is_voided', false);
+
+        if (refundError) return res.status(400).json({ message: refundError.message });
+        if (refunds.length > 0) {
+          return res.status(409).json({ message: "Payment has refunds, void them first", refunds });
+        }
+      }
+
+      // ✅ A voided refund gives its amount back to the payment's refundable total
+      const refundCents = target.entry_type === 'refund' && target.reference_id ? toCents(target.amount) : 0;
+      if (refundCents) await adjustRefunded(target.reference_id, -refundCents);
+
+      // Only flip the flag if nobody voided it in the meantime (nor refunded a payment since the check above)
+      let voidQuery = supabase
+        .from('ledger_entries')
+        .update({ is_voided: true, voided_at: new Date().toISOString() })
+        .eq('id', target.id)
+        .eq('is_voided', false);
+
+      if (target.entry_type === 'payment') voidQuery = voidQuery.or('refunded_amount.is.null,refunded_amount.eq.0');
+
+      const { data: voided } = await voidQuery.select();
+
+      if (!voided?.length) {
+        if (refundCents) await adjustRefunded(target.reference_id, refundCents);
+        return res.status(409).json({ message: "Entry was voided or refunded meanwhile, reload and try again" });
+      }
+
+      const entry = await insertEntry({
+        patient_id: target.patient_id,
+        entry_type: 'void',
+        amount: Number(target.amount),
+        reference_id: target.id
+      }, req.user.id, `Voided ${target.entry_type} #${target.id}${target.receipt_number ? ` (${target.receipt_number})` : ''}: ${req.body.reason}`);
+
+      res.status(201).json({ message: 'Entry voided', entry });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+module.exports = router;
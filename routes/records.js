@@ -0,0 +1,374 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  findAlerts,
+  unacknowledgedAlerts,
+  recordAcknowledgements,
+  alertsRequiredResponse
+} = require('../utils/clinicalAlerts');
+const { dentistTreatsPatient, canAccessRecord } = require('../utils/access');
+
+const router = express.Router();
+
+const validateServiceIds = body('service_ids')
+  .optional()
+  .isArray()
+  .withMessage('service_ids must be an array of service IDs')
+  .custom(ids => {
+    if (!ids.every(id => Number.isInteger(Number(id)))) {
+      throw new Error('service_ids must be an array of service IDs');
+    }
+    return true;
+  });
+
+// Ids that are not an active service (checked before anything is written)
+const findUnknownServices = async (serviceIds) => {
+  const ids = [...new Set(serviceIds.map(Number))];
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('services')
+    .select('id')
+    .in('id', ids)
+    .eq('is_deleted', false);
+
+  if (error) throw error;
+
+  const found = new Set(data.map(s => s.id));
+  return ids.filter(id => !found.has(id));
+};
+
+// Replace the services linked to a record: add the new links first, then drop the
+// ones no longer listed, so a failed insert leaves the old links in place
+const linkServices = async (recordId, serviceIds, currentIds = []) => {
+  const ids = [...new Set(serviceIds.map(Number))];
+  const current = new Set(currentIds.map(Number));
+  const added = ids.filter(id => !current.has(id));
+
+  if (added.length > 0) {
+    const { error } = await supabase
+      .from('record_services')
+      .insert(added.map(service_id => ({ record_id: recordId, service_id })));
+    if (error) return error;
+  }
+
+  let q = supabase.from('record_services').delete().eq('record_id', recordId);
+  if (ids.length > 0) q = q.not('service_id', 'in', `(${ids.join(',')})`);
+
+  const { error } = await q;
+  return error;
+};
+
+// Attach service names to a list of records
+const withServices = async (records) => {
+  if (records.length === 0) return records;
+
+  const { data: links, error } = await supabase
+    .from('record_services')
+    .select('record_id, service_id, services(id, name, price)')
+    .in('record_id', records.map(r => r.id));
+
+  if (error) throw error;
+
+  return records.map(record => ({
+    ...record,
+    services: links.filter(l => l.record_id === record.id).map(l => l.services)
+  }));
+};
+
+// GET records (patients see their own, dentists the patients they treat, admins all)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { patient_id, dentist_id, from, to } = req.query;
+    const { id, usertype } = req.user;
+
+    let q = supabase
+      .from('dental_records')
+      .select('*')
+      .eq('is_deleted', false)
+      .order('visit_date', { ascending: false });
+
+    if (usertype === 'patient') {
+      q = q.eq('patient_id', id);
+    } else if (usertype === 'dentist') {
+      if (patient_id) {
+        if (!(await dentistTreatsPatient(id, patient_id))) {
+          return res.status(403).json({ message: "Access denied" });
+        }
+        q = q.eq('patient_id', patient_id);
+      } else {
+        q = q.eq('dentist_id', id);
+      }
+    } else if (usertype === 'admin') {
+      if (patient_id) q = q.eq('patient_id', patient_id);
+      if (dentist_id) q = q.eq('dentist_id', dentist_id);
+    } else {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    if (from) q = q.gte('visit_date', from);
+    if (to) q = q.lte('visit_date', to);
+
+    const { data, error } = await q;
+    if (error) return res.status(400).json({ message: error.message });
+
+    res.json({ records: await withServices(data) });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET single record with services and 3D model info
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const { data: record } = await supabase
+      .from('dental_records')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('is_deleted', false)
+      .maybeSingle();
+
+    if (!record) return res.status(404).json({ message: "Record not found" });
+    if (!(await canAccessRecord(req.user, record))) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const [withLinks] = await withServices([record]);
+
+    const { data: model } = await supabase
+      .from('dental_models')
+      .select('*')
+      .eq('record_id', record.id)
+      .maybeSingle();
+
+    res.json({ record: { ...withLinks, model: model || null } });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST create record
+router.post(
+  '/',
+  requirePermission('records:write'),
+  body('patient_id').notEmpty().withMessage('Patient is required'),
+  body('visit_date').isISO8601().withMessage('visit_date must be a valid date'),
+  validateServiceIds,
+  body('appointment_id').optional().isNumeric().withMessage('appointment_id must be numeric'),
+  body('acknowledged_alerts').optional().isArray().withMessage('acknowledged_alerts must be an array of alert ids'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patient_id, visit_date, notes, service_ids = [], appointment_id } = req.body;
+      const { id: userId, usertype } = req.user;
+
+      // Dentists write records under their own name
+      const dentistId = usertype === 'dentist' ? userId : req.body.dentist_id;
+      if (!dentistId) return res.status(400).json({ message: "dentist_id is required" });
+
+      // ✅ Patient and dentist must exist
+      const { data: people, error: peopleError } = await supabase
+        .from('users')
+        .select('id, usertype, firstname, lastname')
+        .in('id', [patient_id, dentistId])
+        .eq('is_deleted', false);
+
+      if (peopleError) return res.status(400).json({ message: peopleError.message });
+
+      const patient = people.find(p => p.id === patient_id && p.usertype === 'patient');
+      const dentist = people.find(p => p.id === dentistId && p.usertype === 'dentist');
+
+      if (!patient) return res.status(404).json({ message: "Patient not found" });
+      if (!dentist) return res.status(404).json({ message: "Dentist not found" });
+
+      // ✅ Services must exist (before the record is written)
+      const unknownServices = await findUnknownServices(service_ids);
+      if (unknownServices.length > 0) {
+        return res.status(400).json({ message: `Unknown or deleted services: ${unknownServices.join(', ')}` });
+      }
+
+      // ✅ Appointment (if any) must match patient and dentist
+      let appointment = null;
+      if (appointment_id) {
+        const { data } = await supabase
+          .from('appointments')
+          .select('*')
+          .eq('id', appointment_id)
+          .maybeSingle();
+
+        if (!data || data.patient_id !== patient_id || data.dentist_id !== dentistId) {
+          return res.status(400).json({ message: "Appointment does not match patient and dentist" });
+        }
+        appointment = data;
+      }
+
+      // ✅ Allergy / condition alerts for the services given (ones acknowledged at booking count)
+      const alerts = await findAlerts(patient_id, service_ids);
+      const pending = await unacknowledgedAlerts(alerts, [], { appointmentId: appointment?.id });
+      const missing = await unacknowledgedAlerts(pending, req.body.acknowledged_alerts);
+      if (missing.length > 0) return res.status(409).json(alertsRequiredResponse(missing));
+
+      const { data: record, error: insertError } = await supabase
+        .from('dental_records')
+        .insert({
+          patient_id,
+          dentist_id: dentistId,
+          appointment_id: appointment?.id || null,
+          visit_date,
+          notes,
+          created_by: userId
+        })
+        .select()
+        .single();
+
+      if (insertError) return res.status(400).json({ message: insertError.message });
+
+      const linkError = await linkServices(record.id, service_ids);
+      if (linkError) {
+        // No half-created record without its services
+        await supabase.from('record_services').delete().eq('record_id', record.id);
+        await supabase.from('dental_records').delete().eq('id', record.id);
+        return res.status(400).json({ message: linkError.message });
+      }
+
+      await recordAcknowledgements(pending, {
+        patientId: patient_id,
+        userId,
+        appointmentId: appointment?.id || null,
+        recordId: record.id
+      });
+
+      // ✅ Visit happened, so the booking is done
+      if (appointment && appointment.status === 'confirmed') {
+        await supabase
+          .from('appointments')
+          .update({ status: 'completed', updated_at: new Date().toISOString() })
+          .eq('id', appointment.id);
+      }
+
+      await supabase.from('activity_logs').insert({
+        admin_id: userId,
+        action: 'CREATE',
+        table_name: 'dental_records',
+        record_id: String(record.id),
+        description: `Created record for ${patient.firstname} ${patient.lastname} (visit ${visit_date})`,
+        undo_data: { ...record, linked_services: service_ids }
+      });
+
+      res.status(201).json({ message: 'Record created', record: { ...record, service_ids } });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// PUT edit record (author dentist or admin)
+router.put(
+  '/:id',
+  requirePermission('records:write'),
+  body('visit_date').optional().isISO8601().withMessage('visit_date must be a valid date'),
+  validateServiceIds,
+  body('acknowledged_alerts').optional().isArray().withMessage('acknowledged_alerts must be an array of alert ids'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: existing } = await supabase
+        .from('dental_records')
+        .select('*')
+        .eq('id', req.params.id)
+        .eq('is_deleted', false)
+        .maybeSingle();
+
+      if (!existing) return res.status(404).json({ message: "Record not found" });
+
+      if (req.user.usertype === 'dentist' && existing.dentist_id !== req.user.id) {
+        return res.status(403).json({ message: "Only the dentist who wrote this record can edit it" });
+      }
+
+      const { visit_date, notes, service_ids } = req.body;
+
+      const { data: previousLinks } = await supabase
+        .from('record_services')
+        .select('service_id')
+        .eq('record_id', existing.id);
+
+      // ✅ Alerts for services being added to the record
+      let pending = [];
+      if (service_ids !== undefined) {
+        const before = new Set((previousLinks || []).map(l => l.service_id));
+        const added = service_ids.map(Number).filter(id => !before.has(id));
+
+        // ✅ Newly added services must exist (ones already on the record may since be deleted)
+        const unknownServices = await findUnknownServices(added);
+        if (unknownServices.length > 0) {
+          return res.status(400).json({ message: `Unknown or deleted services: ${unknownServices.join(', ')}` });
+        }
+
+        const alerts = await findAlerts(existing.patient_id, added);
+        pending = await unacknowledgedAlerts(alerts, [], { appointmentId: existing.appointment_id });
+        const missing = await unacknowledgedAlerts(pending, req.body.acknowledged_alerts);
+        if (missing.length > 0) return res.status(409).json(alertsRequiredResponse(missing));
+      }
+
+      const { data: updated, error: updateError } = await supabase
+        .from('dental_records')
+        .update({
+          visit_date,
+          notes,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (updateError) return res.status(400).json({ message: updateError.message });
+
+      if (service_ids !== undefined) {
+        const linkError = await linkServices(existing.id, service_ids, (previousLinks || []).map(l => l.service_id));
+        if (linkError) return res.status(400).json({ message: linkError.message });
+
+        await recordAcknowledgements(pending, {
+          patientId: existing.patient_id,
+          userId: req.user.id,
+          appointmentId: existing.appointment_id,
+          recordId: existing.id
+        });
+      }
+
+      await supabase.from('activity_logs').insert({
+        admin_id: req.user.id,
+        action: 'UPDATE',
+        table_name: 'dental_records',
+        record_id: String(existing.id),
+        description: `Updated record #${existing.id}`,
+        undo_data: {
+          primary_key: 'id',
+          table: 'dental_records',
+          data: { visit_date: existing.visit_date, notes: existing.notes },
+          linked_services: (previousLinks || []).map(l => l.service_id)
+        }
+      });
+
+      const [record] = await withServices([updated]);
+      res.json({ message: 'Record updated', record });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+module.exports = router;
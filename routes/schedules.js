@@ -0,0 +1,400 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { authenticate, requirePermission, requireSelfOrRole } = require('../middleware/auth');
+const { toMinutes, toDate, subtract } = require('../utils/schedule');
+
+const router = express.Router();
+
+const SLOT_STEP_MINUTES = 15;
+const MAX_SLOT_RANGE_DAYS = 31;
+const DEFAULT_DURATION_MINUTES = 30;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const validateIntervals = (key) =>
+  body(key).optional().isArray().withMessage(`${key} must be an array`).custom(list => {
+    list.forEach(item => {
+      if (!Number.isInteger(item.weekday) || item.weekday < 0 || item.weekday > 6) {
+        throw new Error('weekday must be 0 (Sunday) to 6 (Saturday)');
+      }
+      if (!TIME_PATTERN.test(item.start_time) || !TIME_PATTERN.test(item.end_time)) {
+        throw new Error('start_time and end_time must be HH:MM');
+      }
+      if (toMinutes(item.start_time) >= toMinutes(item.end_time)) {
+        throw new Error('start_time must be before end_time');
+      }
+    });
+    return true;
+  });
+
+const ensureDentist = async (dentistId, res) => {
+  const { data: dentist } = await supabase
+    .from('users')
+    .select('id, firstname, lastname')
+    .eq('id', dentistId)
+    .eq('usertype', 'dentist')
+    .eq('is_deleted', false)
+    .maybeSingle();
+
+  if (!dentist) {
+    res.status(404).json({ message: "Dentist not found" });
+    return null;
+  }
+  return dentist;
+};
+
+// POST clinic-wide holiday (applies to every dentist)
+router.post(
+  '/holidays',
+  requirePermission('schedules:holidays'),
+  body('date').isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { date, reason } = req.body;
+
+      const { data: holiday, error } = await supabase
+        .from('dentist_time_off')
+        .insert({ dentist_id: null, date, reason, created_by: req.user.id })
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ message: error.message });
+
+      await supabase.from('activity_logs').insert({
+        admin_id: req.user.id,
+        action: 'CREATE',
+        table_name: 'dentist_time_off',
+        record_id: String(holiday.id),
+        description: `Added clinic holiday on ${date}${reason ? `: ${reason}` : ''}`,
+        undo_data: holiday
+      });
+
+      res.status(201).json({ message: 'Holiday added', holiday });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// DELETE a day off or holiday
+router.delete('/time-off/:id', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { data: entry } = await supabase
+      .from('dentist_time_off')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!entry) return res.status(404).json({ message: "Time off not found" });
+
+    const { id, usertype } = req.user;
+    if (usertype !== 'admin' && !(usertype === 'dentist' && entry.dentist_id === id)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const { error } = await supabase.from('dentist_time_off').delete().eq('id', entry.id);
+    if (error) return res.status(400).json({ message: error.message });
+
+    await supabase.from('activity_logs').insert({
+      admin_id: id,
+      action: 'DELETE',
+      table_name: 'dentist_time_off',
+      record_id: String(entry.id),
+      description: `Removed time off on ${entry.date}`,
+      undo_data: entry
+    });
+
+    res.json({ message: 'Time off removed' });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET a dentist's weekly hours, breaks and upcoming days off
+router.get('/:dentistId', authenticate, async (req, res) => {
+  try {
+    const { dentistId } = req.params;
+    const dentist = await ensureDentist(dentistId, res);
+    if (!dentist) return;
+
+    const today = new Date().toISOString().slice(0, 10);
+
+    const [hours, breaks, timeOff] = await Promise.all([
+      supabase.from('dentist_working_hours').select('*').eq('dentist_id', dentistId).order('weekday'),
+      supabase.from('dentist_breaks').select('*').eq('dentist_id', dentistId).order('weekday'),
+      supabase
+        .from('dentist_time_off')
+        .select('*')
+        .or(`dentist_id.eq.${dentistId},dentist_id.is.null`)
+        .gte('date', today)
+        .order('date')
+    ]);
+
+    const failed = [hours, breaks, timeOff].find(r => r.error);
+    if (failed) return res.status(400).json({ message: failed.error.message });
+
+    res.json({
+      dentist,
+      working_hours: hours.data,
+      breaks: breaks.data,
+      time_off: timeOff.data
+    });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// PUT replace a dentist's weekly hours and breaks
+router.put(
+  '/:dentistId',
+  requireSelfOrRole('dentistId', 'admin'),
+  validateIntervals('working_hours'),
+  validateIntervals('breaks'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { dentistId } = req.params;
+      const dentist = await ensureDentist(dentistId, res);
+      if (!dentist) return;
+
+      const { working_hours, breaks } = req.body;
+      const previous = {};
+      const inserted = {};
+      const changes = [['dentist_working_hours', working_hours], ['dentist_breaks', breaks]]
+        .filter(([, list]) => list !== undefined);
+
+      // Undo the inserts when a later step fails, so the old schedule stays as it was
+      const dropInserted = async () => {
+        for (const [table, ids] of Object.entries(inserted)) {
+          if (ids.length > 0) await supabase.from(table).delete().in('id', ids);
+        }
+      };
+
+      // ✅ 1. Insert the new rows of every list that was sent (old ones still in place)
+      for (const [table, list] of changes) {
+        const { data: old, error: oldError } = await supabase.from(table).select('*').eq('dentist_id', dentistId);
+        if (oldError) {
+          await dropInserted();
+          return res.status(400).json({ message: oldError.message });
+        }
+        previous[table] = old;
+
+        if (list.length === 0) {
+          inserted[table] = [];
+          continue;
+        }
+
+        const { data: rows, error } = await supabase
+          .from(table)
+          .insert(
+            list.map(({ weekday, start_time, end_time }) => ({
+              dentist_id: dentistId,
+              weekday,
+              start_time,
+              end_time
+            }))
+          )
+          .select('id');
+
+        if (error) {
+          await dropInserted();
+          return res.status(400).json({ message: error.message });
+        }
+        inserted[table] = rows.map(r => r.id);
+      }
+
+      // ✅ 2. Then remove the old rows by id
+      for (const [table] of changes) {
+        const oldIds = previous[table].map(r => r.id);
+        if (oldIds.length === 0) continue;
+
+        const { error } = await supabase.from(table).delete().in('id', oldIds);
+        if (error) {
+          await dropInserted();
+          return res.status(500).json({ message: 'Schedule could not be replaced', error: error.message });
+        }
+      }
+
+      await supabase.from('activity_logs').insert({
+        admin_id: req.user.id,
+        action: 'UPDATE',
+        table_name: 'dentist_working_hours',
+        record_id: String(dentistId),
+        description: `Updated schedule of Dr. ${dentist.lastname}`,
+        undo_data: previous
+      });
+
+      res.json({ message: 'Schedule updated' });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// POST a day off for one dentist
+router.post(
+  '/:dentistId/time-off',
+  requireSelfOrRole('dentistId', 'admin'),
+  body('date').isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { dentistId } = req.params;
+      const dentist = await ensureDentist(dentistId, res);
+      if (!dentist) return;
+
+      const { date, reason } = req.body;
+
+      const { data: entry, error } = await supabase
+        .from('dentist_time_off')
+        .insert({ dentist_id: dentistId, date, reason, created_by: req.user.id })
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ message: error.message });
+
+      await supabase.from('activity_logs').insert({
+        admin_id: req.user.id,
+        action: 'CREATE',
+        table_name: 'dentist_time_off',
+        record_id: String(entry.id),
+        description: `Added day off for Dr. ${dentist.lastname} on ${date}`,
+        undo_data: entry
+      });
+
+      res.status(201).json({ message: 'Day off added', time_off: entry });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// GET bookable slots for a dentist, date range and service
+router.get(
+  '/:dentistId/slots',
+  authenticate,
+  query('from').isISO8601({ strict: true }).withMessage('from must be YYYY-MM-DD'),
+  query('to').isISO8601({ strict: true }).withMessage('to must be YYYY-MM-DD'),
+  query('service_id').isNumeric().withMessage('service_id is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { dentistId } = req.params;
+      const from = req.query.from.slice(0, 10);
+      const to = req.query.to.slice(0, 10);
+
+      const days = [];
+      for (let d = new Date(`${from}T00:00:00Z`); d <= new Date(`${to}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+        days.push(d.toISOString().slice(0, 10));
+      }
+
+      if (days.length === 0) return res.status(400).json({ message: "from must not be after to" });
+      if (days.length > MAX_SLOT_RANGE_DAYS) {
+        return res.status(400).json({ message: `Range cannot exceed ${MAX_SLOT_RANGE_DAYS} days` });
+      }
+
+      const dentist = await ensureDentist(dentistId, res);
+      if (!dentist) return;
+
+      const { data: service } = await supabase
+        .from('services')
+        .select('id, name, duration_minutes')
+        .eq('id', req.query.service_id)
+        .eq('is_deleted', false)
+        .maybeSingle();
+
+      if (!service) return res.status(404).json({ message: "Service not found" });
+
+      const duration = service.duration_minutes || DEFAULT_DURATION_MINUTES;
+
+      const [hours, breaks, timeOff, booked] = await Promise.all([
+        supabase.from('dentist_working_hours').select('*').eq('dentist_id', dentistId),
+        supabase.from('dentist_breaks').select('*').eq('dentist_id', dentistId),
+        supabase
+          .from('dentist_time_off')
+          .select('date')
+          .or(`dentist_id.eq.${dentistId},dentist_id.is.null`)
+          .gte('date', from)
+          .lte('date', to),
+        supabase
+          .from('appointments')
+          .select('start_time, end_time')
+          .eq('dentist_id', dentistId)
+          .in('status', ['pending', 'confirmed'])
+          .lt('start_time', toDate(to, 24 * 60).toISOString())
+          .gt('end_time', toDate(from, 0).toISOString())
+      ]);
+
+      const failed = [hours, breaks, timeOff, booked].find(r => r.error);
+      if (failed) return res.status(400).json({ message: failed.error.message });
+
+      const daysOff = new Set(timeOff.data.map(t => String(t.date).slice(0, 10)));
+      const now = new Date();
+      const slots = [];
+
+      for (const day of days) {
+        if (daysOff.has(day)) continue;
+
+        const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+
+        // Working intervals for the day as [startMs, endMs)
+        let free = hours.data
+          .filter(h => h.weekday === weekday)
+          .map(h => [toDate(day, toMinutes(h.start_time)).getTime(), toDate(day, toMinutes(h.end_time)).getTime()]);
+
+        breaks.data
+          .filter(b => b.weekday === weekday)
+          .forEach(b => {
+            free = subtract(free, toDate(day, toMinutes(b.start_time)).getTime(), toDate(day, toMinutes(b.end_time)).getTime());
+          });
+
+        booked.data.forEach(a => {
+          free = subtract(free, new Date(a.start_time).getTime(), new Date(a.end_time).getTime());
+        });
+
+        free.sort((a, b) => a[0] - b[0]).forEach(([s, e]) => {
+          for (let t = s; t + duration * 60000 <= e; t += SLOT_STEP_MINUTES * 60000) {
+            if (t <= now.getTime()) continue;
+            slots.push({
+              start_time: new Date(t).toISOString(),
+              end_time: new Date(t + duration * 60000).toISOString()
+            });
+          }
+        });
+      }
+
+      res.json({
+        dentist_id: dentistId,
+        service: { id: service.id, name: service.name, duration_minutes: duration },
+        slots
+      });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,31 +1,51 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, query, validationResult } = require('express-validator');
 const supabase = require('../supabase');
-const jwt = require('jsonwebtoken');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { queuePushToAll } = require('../utils/push');
+const {
+  findServiceUsage,
+  softDeleteService,
+  restoreService,
+  softDeleteCategory,
+  restoreCategory
+} = require('../utils/serviceTrash');
+const {
+  pickTerms,
+  termsChanged,
+  toInstant,
+  recordPriceVersion,
+  getTermsOn
+} = require('../utils/pricing');
+const { applyTextSearch } = require('../utils/search');
+const { ALLERGY_CODES, CONDITION_CODES } = require('../utils/clinicalAlerts');
 
 const router = express.Router();
 
-// Middleware to check admin from JWT
-const checkAdmin = async (req, res, next) => {
-  try {
-    const rawHeader = req.headers.authorization;
-    const token = rawHeader?.split(" ")[1];
-
-    if (!token) return res.status(401).json({ message: "No token" });
+const CATALOG_DEFAULT_LIMIT = 20;
+const CATALOG_MAX_LIMIT = 100;
+const CATALOG_SORTS = {
+  name: 'name',
+  price: 'price',
+  duration: 'duration_minutes',
+  newest: 'created_at'
+};
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+// Strong ETag over the JSON body; answers 304 when the client copy is current
+const sendWithEtag = (req, res, payload) => {
+  const json = JSON.stringify(payload);
+  const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
 
-    if (decoded.usertype !== "admin") {
-      return res.status(403).json({ message: "Admins only" });
-    }
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'public, no-cache'); // cache, but revalidate every time
 
-    req.user = decoded;
-    req.token = token; // save token
-    next();
-  } catch (err) {
-    console.error("checkAdmin error:", err);
-    return res.status(401).json({ message: "Invalid token" });
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(',').map(t => t.trim().replace(/^W\//, '')).includes(etag)) {
+    return res.status(304).end();
   }
+
+  res.type('application/json').send(json);
 };
 
 // GET all services grouped by category
@@ -58,10 +78,13 @@ router.get('/grouped', async (req, res) => {
     // Initialize "No Category" bucket
     const noCategory = { id: null, name: "No Category", services: [] };
 
+    // serviceId -> categoryId (a service has ONE category)
+    const categoryByService = new Map(links.map(l => [l.service_id, l.category_id]));
+
     // Assign services to categories
     services.forEach(serv => {
-      const link = links.find(l => l.service_id === serv.id);
-      const categoryObj = link ? categoryMap[link.category_id] : null;
+      const categoryId = categoryByService.get(serv.id);
+      const categoryObj = categoryId !== undefined ? categoryMap[categoryId] : null;
 
       if (categoryObj) {
         categoryObj.services.push(serv);
@@ -89,7 +112,7 @@ router.get('/grouped', async (req, res) => {
     if (noCategory.services.length > 0) groupedArray.push(noCategory);
 
     // Return grouped result
-    res.json({ category: groupedArray });
+    sendWithEtag(req, res, { category: groupedArray });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error', error: err.message });
@@ -97,10 +120,101 @@ router.get('/grouped', async (req, res) => {
 });
 
 
+// GET catalog: search, filter, sort and paginate services
+//   ?q=&category_id=&min_price=&max_price=&installment=true&sort=name|price|duration|newest&order=asc|desc&page=&limit=
+// category_id=none → services without a category
+router.get(
+  '/catalog',
+  query('category_id').optional().custom(val => val === 'none' || /^\d+$/.test(val)).withMessage('category_id must be an ID or "none"'),
+  query('min_price').optional().isFloat({ min: 0 }).withMessage('min_price must be a positive number'),
+  query('max_price').optional().isFloat({ min: 0 }).withMessage('max_price must be a positive number'),
+  query('installment').optional().isBoolean().withMessage('installment must be true or false'),
+  query('sort').optional().isIn(Object.keys(CATALOG_SORTS)).withMessage(`sort must be one of ${Object.keys(CATALOG_SORTS).join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be 1 or more'),
+  query('limit').optional().isInt({ min: 1, max: CATALOG_MAX_LIMIT }).withMessage(`limit must be 1-${CATALOG_MAX_LIMIT}`),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { q, category_id, min_price, max_price, installment, sort = 'name', order = 'asc' } = req.query;
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || CATALOG_DEFAULT_LIMIT;
+
+      let svcQuery = supabase
+        .from('services')
+        .select('*', { count: 'exact' })
+        .eq('is_deleted', false);
+
+      svcQuery = applyTextSearch(svcQuery, q, ['name', 'description']);
+
+      if (min_price !== undefined) svcQuery = svcQuery.gte('price', Number(min_price));
+      if (max_price !== undefined) svcQuery = svcQuery.lte('price', Number(max_price));
+      if (installment !== undefined) svcQuery = svcQuery.eq('allow_installment', installment === 'true');
+
+      if (category_id !== undefined) {
+        const { data: linked, error: linkError } = await supabase
+          .from('service_category_links')
+          .select('service_id')
+          .eq('is_deleted', false)
+          .match(category_id === 'none' ? {} : { category_id: Number(category_id) });
+        if (linkError) return res.status(400).json({ message: linkError.message });
+
+        const ids = [...new Set(linked.map(l => l.service_id))];
+        if (category_id === 'none') {
+          if (ids.length > 0) svcQuery = svcQuery.not('id', 'in', `(${ids.join(',')})`);
+        } else {
+          svcQuery = svcQuery.in('id', ids);
+        }
+      }
+
+      const { data: services, count, error: servError } = await svcQuery
+        .order(CATALOG_SORTS[sort], { ascending: order === 'asc' })
+        .order('id', { ascending: true })
+        .range((page - 1) * limit, page * limit - 1);
+      if (servError) return res.status(400).json({ message: servError.message });
+
+      // Attach each service's category
+      const categoryByService = new Map();
+      if (services.length > 0) {
+        const { data: links, error: linkError } = await supabase
+          .from('service_category_links')
+          .select('service_id, service_categories!inner(id, name, is_deleted)')
+          .eq('is_deleted', false)
+          .eq('service_categories.is_deleted', false)
+          .in('service_id', services.map(s => s.id));
+        if (linkError) return res.status(400).json({ message: linkError.message });
+
+        links.forEach(l => categoryByService.set(l.service_id, {
+          id: l.service_categories.id,
+          name: l.service_categories.name
+        }));
+      }
+
+      sendWithEtag(req, res, {
+        services: services.map(serv => ({ ...serv, category: categoryByService.get(serv.id) || null })),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          total_pages: Math.ceil(count / limit)
+        }
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+
 // POST create category (optionally with services)
 router.post(
   '/categories',
-  checkAdmin,
+  requirePermission('services:manage'),
   body('name').notEmpty().withMessage('Category name is required'),
   body('services').optional().custom(val => {
     if (!Array.isArray(val) && typeof val !== 'number') {
@@ -204,7 +318,7 @@ router.post(
 
 router.put(
   '/categories/:id',
-  checkAdmin,
+  requirePermission('services:manage'),
   body('name').notEmpty().withMessage('Category name is required'),
   body('services').optional().custom(val => {
     if (!Array.isArray(val) && typeof val !== 'number') {
@@ -239,6 +353,23 @@ router.put(
         return res.status(400).json({ message: "Category name must be unique" });
       }
 
+      // ✅ Snapshot previous state for undo
+      const { data: previousCategory } = await supabase
+        .from('service_categories')
+        .select('*')
+        .eq('id', categoryId)
+        .maybeSingle();
+
+      if (!previousCategory) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      const { data: previousLinks } = await supabase
+        .from('service_category_links')
+        .select('service_id')
+        .eq('is_deleted', false)
+        .eq('category_id', categoryId);
+
       // ✅ Update category
       const { data: updatedCategory, error: catError } = await supabase
         .from('service_categories')
@@ -288,7 +419,12 @@ router.put(
         table_name: 'service_categories',
         record_id: String(categoryId),
         description: `Updated category: ${name}`,
-        undo_data: { ...updatedCategory, linked_services: services || null }
+        undo_data: {
+          primary_key: 'id',
+          table: 'service_categories',
+          data: { name: previousCategory.name },
+          linked_services: (previousLinks || []).map(l => l.service_id)
+        }
       });
 
       await supabase.from('notifications').insert({
@@ -313,9 +449,13 @@ router.put(
 // POST create service (link to ONE category)
 router.post(
   '/',
-  checkAdmin,
+  requirePermission('services:manage'),
   body('name').notEmpty().withMessage('Service name is required'),
   body('price').isNumeric().withMessage('Price must be numeric'),
+  body('duration_minutes')
+    .optional()
+    .isInt({ min: 5 })
+    .withMessage('Duration must be at least 5 minutes'),
   body('categories')
     .optional()
     .isNumeric()
@@ -332,6 +472,7 @@ router.post(
         name,
         description,
         price,
+        duration_minutes,
         allow_installment = false,
         installment_times,
         installment_interval,
@@ -379,6 +520,7 @@ router.post(
           name,
           description,
           price,
+          duration_minutes,
           allow_installment,
           installment_times: finalInstallmentTimes,
           installment_interval: finalInstallmentInterval,
@@ -391,6 +533,14 @@ router.post(
         return res.status(400).json({ message: svcError.message });
       }
 
+      // ✅ First price version
+      await recordPriceVersion({
+        serviceId: newService.id,
+        terms: newService,
+        createdBy: adminId,
+        note: 'Initial price'
+      });
+
       // ✅ Link to ONE category
       if (categories) {
         const { error: linkError } = await supabase
@@ -418,38 +568,20 @@ router.post(
         }
       });
 
-      // ✅ PUSH NOTIFICATIONS
+      // ✅ PUSH NOTIFICATIONS (queued, retried by the push worker)
       try {
-        const { data: usersWithTokens } = await supabase
-          .from("users")
-          .select("fcm_token")
-          .not("fcm_token", "is", null);
-
-        const tokens = usersWithTokens.map(u => u.fcm_token).filter(Boolean);
-
-        if (tokens.length > 0) {
-          const notificationPayload = {
-            notification: {
-              title: "🦷 New Dental Service Available",
-              body: `${newService.name} has been added to our services list!`
-            },
-            data: {
-              serviceId: newService.id.toString(),
-              serviceName: newService.name
-            }
-          };
-
-          const MAX_BATCH = 500;
-          for (let i = 0; i < tokens.length; i += MAX_BATCH) {
-            const batch = tokens.slice(i, i + MAX_BATCH);
-            await admin.messaging().sendEachForMulticast({
-              tokens: batch,
-              ...notificationPayload
-            });
+        await queuePushToAll({
+          notification: {
+            title: "🦷 New Dental Service Available",
+            body: `${newService.name} has been added to our services list!`
+          },
+          data: {
+            serviceId: newService.id.toString(),
+            serviceName: newService.name
           }
-        }
+        });
       } catch (pushErr) {
-        console.warn("⚠️ Push notification failed:", pushErr.message);
+        console.warn("⚠️ Push notification could not be queued:", pushErr.message);
       }
 
       return res.status(201).json({
@@ -467,9 +599,13 @@ router.post(
 // PUT update service (link to ONE category)
 router.put(
   '/:id',
-  checkAdmin,
+  requirePermission('services:manage'),
   body('name').notEmpty().withMessage('Service name is required'),
   body('price').isNumeric().withMessage('Price must be numeric'),
+  body('duration_minutes')
+    .optional()
+    .isInt({ min: 5 })
+    .withMessage('Duration must be at least 5 minutes'),
   body('categories')
     .optional()
     .isNumeric()
@@ -487,6 +623,7 @@ router.put(
         name,
         description,
         price,
+        duration_minutes,
         allow_installment = false,
         installment_times,
         installment_interval,
@@ -528,6 +665,24 @@ router.put(
         }
       }
 
+      // ✅ Snapshot previous state for undo
+      const { data: previousService } = await supabase
+        .from('services')
+        .select('*')
+        .eq('id', serviceId)
+        .maybeSingle();
+
+      if (!previousService) {
+        return res.status(404).json({ message: "Service not found" });
+      }
+
+      const { data: previousLink } = await supabase
+        .from('service_category_links')
+        .select('category_id')
+        .eq('is_deleted', false)
+        .eq('service_id', serviceId)
+        .maybeSingle();
+
       // ✅ Update Service
       const { data: updatedService, error: svcError } = await supabase
         .from('services')
@@ -535,6 +690,7 @@ router.put(
           name,
           description,
           price,
+          duration_minutes,
           allow_installment,
           installment_times: finalInstallmentTimes,
           installment_interval: finalInstallmentInterval,
@@ -548,6 +704,16 @@ router.put(
         return res.status(400).json({ message: svcError.message });
       }
 
+      // ✅ Version price / installment term changes (effective now)
+      if (termsChanged(previousService, updatedService)) {
+        await recordPriceVersion({
+          serviceId,
+          terms: updatedService,
+          previous: previousService,
+          createdBy: adminId
+        });
+      }
+
       // ✅ Update link to ONE category
       if (categories) {
         // Delete old link first
@@ -576,41 +742,37 @@ router.put(
         table_name: 'services',
         record_id: String(serviceId),
         description: `Updated service: ${updatedService.name}`,
-        undo_data: { ...updatedService, linked_category: categories || null }
+        undo_data: {
+          primary_key: 'id',
+          table: 'services',
+          data: {
+            name: previousService.name,
+            description: previousService.description,
+            price: previousService.price,
+            duration_minutes: previousService.duration_minutes,
+            allow_installment: previousService.allow_installment,
+            installment_times: previousService.installment_times,
+            installment_interval: previousService.installment_interval,
+            custom_interval_days: previousService.custom_interval_days
+          },
+          linked_category: previousLink?.category_id || null
+        }
       });
 
-      // ✅ Optional: Push notifications
+      // ✅ Optional: Push notifications (queued, retried by the push worker)
       try {
-        const { data: usersWithTokens } = await supabase
-          .from("users")
-          .select("fcm_token")
-          .not("fcm_token", "is", null);
-
-        const tokens = usersWithTokens.map(u => u.fcm_token).filter(Boolean);
-
-        if (tokens.length > 0) {
-          const notificationPayload = {
-            notification: {
-              title: "🦷 Dental Service Updated",
-              body: `${updatedService.name} has been updated!`
-            },
-            data: {
-              serviceId: updatedService.id.toString(),
-              serviceName: updatedService.name
-            }
-          };
-
-          const MAX_BATCH = 500;
-          for (let i = 0; i < tokens.length; i += MAX_BATCH) {
-            const batch = tokens.slice(i, i + MAX_BATCH);
-            await admin.messaging().sendEachForMulticast({
-              tokens: batch,
-              ...notificationPayload
-            });
+        await queuePushToAll({
+          notification: {
+            title: "🦷 Dental Service Updated",
+            body: `${updatedService.name} has been updated!`
+          },
+          data: {
+            serviceId: updatedService.id.toString(),
+            serviceName: updatedService.name
           }
-        }
+        });
       } catch (pushErr) {
-        console.warn("⚠️ Push notification failed:", pushErr.message);
+        console.warn("⚠️ Push notification could not be queued:", pushErr.message);
       }
 
       return res.status(200).json({
@@ -624,10 +786,438 @@ router.put(
   }
 );
 
+// GET trash (soft-deleted services and categories)
+router.get('/trash', requirePermission('services:manage'), async (req, res) => {
+  try {
+    const { data: services, error: servError } = await supabase
+      .from('services')
+      .select('*')
+      .eq('is_deleted', true)
+      .order('deleted_at', { ascending: false });
+    if (servError) return res.status(400).json({ message: servError.message });
+
+    const { data: categories, error: catError } = await supabase
+      .from('service_categories')
+      .select('*')
+      .eq('is_deleted', true)
+      .order('deleted_at', { ascending: false });
+    if (catError) return res.status(400).json({ message: catError.message });
+
+    res.json({ services, categories });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
 
 
+// DELETE category (soft; its services move to "No Category")
+router.delete('/categories/:id', requirePermission('services:manage'), async (req, res) => {
+  try {
+    const { data: category } = await supabase
+      .from('service_categories')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('is_deleted', false)
+      .maybeSingle();
+
+    if (!category) return res.status(404).json({ message: "Category not found" });
+
+    const { deletedAt, serviceIds } = await softDeleteCategory(category.id);
+
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: 'DELETE',
+      table_name: 'service_categories',
+      record_id: String(category.id),
+      description: `Deleted category: ${category.name}`,
+      undo_data: {
+        primary_key: 'id',
+        table: 'service_categories',
+        deleted_at: deletedAt,
+        linked_services: serviceIds
+      }
+    });
 
+    res.json({ message: 'Category moved to trash', unlinked_services: serviceIds });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
 
+// POST restore category from trash
+router.post('/categories/:id/restore', requirePermission('services:manage'), async (req, res) => {
+  try {
+    const { data: category } = await supabase
+      .from('service_categories')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('is_deleted', true)
+      .maybeSingle();
+
+    if (!category) return res.status(404).json({ message: "Category not found in trash" });
+
+    const { serviceIds } = await restoreCategory(category);
+
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: 'RESTORE',
+      table_name: 'service_categories',
+      record_id: String(category.id),
+      description: `Restored category: ${category.name}`
+    });
+
+    res.json({ message: 'Category restored', relinked_services: serviceIds });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// DELETE service (soft). Blocked while open appointments or active installment
+// plans use it; ?force=true deletes anyway and returns them as warnings.
+router.delete('/:id', requirePermission('services:manage'), async (req, res) => {
+  try {
+    const { data: service } = await supabase
+      .from('services')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('is_deleted', false)
+      .maybeSingle();
+
+    if (!service) return res.status(404).json({ message: "Service not found" });
+
+    const usage = await findServiceUsage(service.id);
+    const inUse = usage.appointments.length > 0 || usage.installment_plans.length > 0;
+    const force = req.query.force === 'true';
+
+    if (inUse && !force) {
+      return res.status(409).json({
+        message: "Service is used by open appointments or installment plans, pass force=true to delete anyway",
+        usage
+      });
+    }
+
+    const { deletedAt, categoryIds } = await softDeleteService(service.id);
+
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: 'DELETE',
+      table_name: 'services',
+      record_id: String(service.id),
+      description: `Deleted service: ${service.name}${inUse ? ' (forced, still in use)' : ''}`,
+      undo_data: {
+        primary_key: 'id',
+        table: 'services',
+        deleted_at: deletedAt,
+        linked_category: categoryIds[0] || null
+      }
+    });
+
+    res.json({
+      message: 'Service moved to trash',
+      ...(inUse ? { warnings: usage } : {})
+    });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST restore service from trash
+router.post('/:id/restore', requirePermission('services:manage'), async (req, res) => {
+  try {
+    const { data: service } = await supabase
+      .from('services')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('is_deleted', true)
+      .maybeSingle();
+
+    if (!service) return res.status(404).json({ message: "Service not found in trash" });
+
+    const { categoryIds } = await restoreService(service);
+
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: 'RESTORE',
+      table_name: 'services',
+      record_id: String(service.id),
+      description: `Restored service: ${service.name}`
+    });
+
+    res.json({ message: 'Service restored', category_id: categoryIds[0] || null });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+
+// GET price history (past, current and scheduled versions)
+router.get('/:id/prices', requirePermission('services:manage'), async (req, res) => {
+  try {
+    const { data: service } = await supabase
+      .from('services')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!service) return res.status(404).json({ message: "Service not found" });
+
+    const { data: versions, error } = await supabase
+      .from('service_price_versions')
+      .select('*')
+      .eq('service_id', service.id)
+      .order('effective_from', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (error) return res.status(400).json({ message: error.message });
+
+    const now = new Date();
+    const current = await getTermsOn(service, now);
+
+    res.json({
+      service_id: service.id,
+      current,
+      scheduled: versions.filter(v => new Date(v.effective_from) > now),
+      history: versions.filter(v => new Date(v.effective_from) <= now)
+    });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET price in effect on a date (billing); ?date=YYYY-MM-DD or ISO timestamp, default now
+router.get(
+  '/:id/price',
+  query('date').optional().isISO8601().withMessage('date must be a date'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: service } = await supabase
+        .from('services')
+        .select('*')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+      if (!service) return res.status(404).json({ message: "Service not found" });
+
+      const at = req.query.date ? toInstant(req.query.date) : new Date();
+      const terms = await getTermsOn(service, at);
+
+      res.json({ service_id: service.id, name: service.name, date: at.toISOString(), ...terms });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// POST schedule a future price / installment-term change
+// Fields left out keep the value in effect at effective_from
+router.post(
+  '/:id/prices',
+  requirePermission('services:manage'),
+  body('effective_from').isISO8601().withMessage('effective_from must be a date'),
+  body('price').optional().isNumeric().withMessage('Price must be numeric'),
+  body('allow_installment').optional().isBoolean().withMessage('allow_installment must be true or false'),
+  body('installment_times').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('installment_times must be 1 or more'),
+  body('installment_interval').optional({ values: 'null' }).isIn(['weekly', 'biweekly', 'monthly', 'custom']).withMessage('Invalid installment_interval'),
+  body('custom_interval_days').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('custom_interval_days must be 1 or more'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const effectiveFrom = new Date(req.body.effective_from);
+      if (effectiveFrom <= new Date()) {
+        return res.status(400).json({ message: "effective_from must be in the future, use PUT /services/:id for immediate changes" });
+      }
+
+      const { data: service } = await supabase
+        .from('services')
+        .select('*')
+        .eq('id', req.params.id)
+        .eq('is_deleted', false)
+        .maybeSingle();
+
+      if (!service) return res.status(404).json({ message: "Service not found" });
+
+      const base = await getTermsOn(service, effectiveFrom);
+      const terms = pickTerms({ ...base, ...req.body });
+
+      // ✅ Same installment rules as create/update
+      if (terms.allow_installment) {
+        if (!terms.installment_interval) {
+          return res.status(400).json({ message: "installment_interval is required when allow_installment is true" });
+        }
+        if (terms.installment_interval === 'custom' && !terms.custom_interval_days) {
+          return res.status(400).json({ message: "custom_interval_days is required when interval is custom" });
+        }
+      } else {
+        Object.assign(terms, { installment_times: null, installment_interval: null, custom_interval_days: null });
+      }
+
+      if (!termsChanged(base, terms)) {
+        return res.status(400).json({ message: "Nothing changes at that date" });
+      }
+
+      const version = await recordPriceVersion({
+        serviceId: service.id,
+        terms,
+        previous: service,
+        effectiveFrom,
+        createdBy: req.user.id,
+        note: req.body.note
+      });
+
+      await supabase.from('activity_logs').insert({
+        admin_id: req.user.id,
+        action: 'schedule_price',
+        table_name: 'service_price_versions',
+        record_id: String(version.id),
+        description: `Scheduled price ${terms.price} for ${service.name} from ${version.effective_from}`
+      });
+
+      res.status(201).json({ message: 'Price change scheduled', version });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// DELETE cancel a scheduled price change that has not taken effect yet
+router.delete('/:id/prices/:versionId', requirePermission('services:manage'), async (req, res) => {
+  try {
+    const { data: version, error } = await supabase
+      .from('service_price_versions')
+      .delete()
+      .eq('id', req.params.versionId)
+      .eq('service_id', req.params.id)
+      .eq('applied', false)
+      .gt('effective_from', new Date().toISOString())
+      .select()
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ message: error.message });
+    if (!version) return res.status(404).json({ message: "No scheduled price change with that id" });
+
+    await supabase.from('activity_logs').insert({
+      admin_id: req.user.id,
+      action: 'cancel_price',
+      table_name: 'service_price_versions',
+      record_id: String(version.id),
+      description: `Cancelled scheduled price ${version.price} for service #${version.service_id} from ${version.effective_from}`
+    });
+
+    res.json({ message: 'Scheduled price change cancelled', version });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+
+// GET contraindications of a service (allergies / conditions that raise an alert)
+router.get('/:id/contraindications', authenticate, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('service_contraindications')
+      .select('id, kind, code, note')
+      .eq('service_id', req.params.id)
+      .order('id', { ascending: true });
+
+    if (error) return res.status(400).json({ message: error.message });
+
+    res.json({ service_id: Number(req.params.id), contraindications: data });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// PUT replace contraindications: { contraindications: [{ kind: 'allergy'|'condition', code, note }] }
+router.put(
+  '/:id/contraindications',
+  requirePermission('services:manage'),
+  body('contraindications').isArray().withMessage('contraindications must be an array'),
+  body('contraindications.*.kind').isIn(['allergy', 'condition']).withMessage('kind must be allergy or condition'),
+  body('contraindications.*.code').custom((code, { req, path }) => {
+    const index = Number(path.match(/\[(\d+)\]/)[1]);
+    const codes = req.body.contraindications[index]?.kind === 'condition' ? CONDITION_CODES : ALLERGY_CODES;
+    if (!codes[code] || code === 'other') throw new Error(`Unknown code: ${code}`);
+    return true;
+  }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const serviceId = Number(req.params.id);
+
+      const { data: service } = await supabase
+        .from('services')
+        .select('id, name')
+        .eq('id', serviceId)
+        .eq('is_deleted', false)
+        .maybeSingle();
+
+      if (!service) return res.status(404).json({ message: "Service not found" });
+
+      const { data: previous } = await supabase
+        .from('service_contraindications')
+        .select('kind, code, note')
+        .eq('service_id', serviceId);
+
+      const rows = [...new Map(req.body.contraindications.map(c => [
+        `${c.kind}:${c.code}`,
+        { service_id: serviceId, kind: c.kind, code: c.code, note: c.note || null }
+      ])).values()];
+
+      const { error: deleteError } = await supabase
+        .from('service_contraindications')
+        .delete()
+        .eq('service_id', serviceId);
+      if (deleteError) return res.status(400).json({ message: deleteError.message });
+
+      let saved = [];
+      if (rows.length > 0) {
+        const { data, error } = await supabase
+          .from('service_contraindications')
+          .insert(rows)
+          .select('id, kind, code, note');
+        if (error) return res.status(400).json({ message: error.message });
+        saved = data;
+      }
+
+      await supabase.from('activity_logs').insert({
+        admin_id: req.user.id,
+        action: 'update_contraindications',
+        table_name: 'service_contraindications',
+        record_id: String(serviceId),
+        description: `Updated contraindications of ${service.name}: ${rows.map(r => r.code).join(', ') || 'none'}`,
+        undo_data: { previous: previous || [] }
+      });
+
+      res.json({ message: 'Contraindications updated', contraindications: saved });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
 
 
 module.exports = router;
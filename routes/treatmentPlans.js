@@ -0,0 +1,609 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const supabase = require('../supabase');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getTermsOn } = require('../utils/pricing');
+const { parseTooth } = require('../utils/odontogram');
+const { queuePush } = require('../utils/push');
+
+const router = express.Router();
+
+// draft → proposed → accepted | declined; accepted → completed once every item is done
+// Any open plan can be cancelled by staff.
+const QUOTE_VALID_DAYS = 30;
+const OPEN_STATUSES = ['draft', 'proposed', 'accepted'];
+const DEAD_APPOINTMENT_STATUSES = ['cancelled', 'no_show'];
+
+const validateItems = [
+  body('items').isArray({ min: 1 }).withMessage('items must be a non-empty array'),
+  body('items.*.service_id').isNumeric().withMessage('Each item needs a service_id'),
+  body('items.*.phase').optional().isInt({ min: 1 }).withMessage('phase must be 1 or more'),
+  body('items.*.teeth').optional().isArray().withMessage('teeth must be an array'),
+  body('items.*.numbering').optional().isIn(['fdi', 'universal']).withMessage('numbering must be fdi or universal')
+];
+
+// Price items from the terms in effect today; returns { rows } or { error }
+const buildItems = async (items) => {
+  const serviceIds = [...new Set(items.map(i => Number(i.service_id)))];
+
+  const { data: services, error } = await supabase
+    .from('services')
+    .select('*')
+    .in('id', serviceIds)
+    .eq('is_deleted', false);
+
+  if (error) throw error;
+
+  const byId = new Map(services.map(s => [s.id, s]));
+  const rows = [];
+
+  for (const [index, item] of items.entries()) {
+    const service = byId.get(Number(item.service_id));
+    if (!service) return { error: `Item ${index + 1}: service ${item.service_id} not found` };
+
+    const teeth = [];
+    for (const value of item.teeth || []) {
+      const tooth = parseTooth(value, item.numbering);
+      if (!tooth) return { error: `Item ${index + 1}: invalid tooth ${value}` };
+      teeth.push(tooth);
+    }
+
+    const terms = await getTermsOn(service);
+
+    rows.push({
+      service_id: service.id,
+      service_name: service.name,
+      phase: Number(item.phase) || 1,
+      sequence: index + 1,
+      teeth: teeth.length > 0 ? [...new Set(teeth)] : null,
+      notes: item.notes || null,
+      quoted_price: terms.price,
+      price_version_id: terms.version_id,
+      allow_installment: !!terms.allow_installment,
+      installment_times: terms.allow_installment ? terms.installment_times : null,
+      installment_interval: terms.allow_installment ? terms.installment_interval : null,
+      custom_interval_days: terms.allow_installment ? terms.custom_interval_days : null,
+      status: 'planned'
+    });
+  }
+
+  return { rows };
+};
+
+// Totals overall, per phase and for the part that can be paid in installments
+const summarize = (items) => {
+  const cents = (v) => Math.round(Number(v || 0) * 100);
+  const live = items.filter(i => i.status !== 'cancelled');
+  const phases = {};
+
+  live.forEach(i => {
+    phases[i.phase] = phases[i.phase] || { phase: i.phase, total: 0, items: 0 };
+    phases[i.phase].total += cents(i.quoted_price);
+    phases[i.phase].items += 1;
+  });
+
+  return {
+    total: live.reduce((sum, i) => sum + cents(i.quoted_price), 0) / 100,
+    installment_eligible_total: live.filter(i => i.allow_installment).reduce((sum, i) => sum + cents(i.quoted_price), 0) / 100,
+    phases: Object.values(phases)
+      .sort((a, b) => a.phase - b.phase)
+      .map(p => ({ ...p, total: p.total / 100 })),
+    items_done: live.filter(i => i.status === 'done').length,
+    items_total: live.length
+  };
+};
+
+// Load a plan with its items and make sure the caller may see it
+const loadPlan = async (req, res) => {
+  const { data: plan, error } = await supabase
+    .from('treatment_plans')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!plan) {
+    res.status(404).json({ message: "Treatment plan not found" });
+    return null;
+  }
+
+  const { id, usertype } = req.user;
+  if (
+    (usertype === 'patient' && (plan.patient_id !== id || plan.status === 'draft')) ||
+    (usertype === 'dentist' && plan.dentist_id !== id)
+  ) {
+    res.status(403).json({ message: "Access denied" });
+    return null;
+  }
+
+  const { data: items, error: itemsError } = await supabase
+    .from('treatment_plan_items')
+    .select('*')
+    .eq('plan_id', plan.id)
+    .order('phase', { ascending: true })
+    .order('sequence', { ascending: true });
+
+  if (itemsError) throw itemsError;
+
+  return { ...plan, items };
+};
+
+const replaceItems = async (planId, rows) => {
+  const { error: deleteError } = await supabase.from('treatment_plan_items').delete().eq('plan_id', planId);
+  if (deleteError) throw deleteError;
+
+  const { data, error } = await supabase
+    .from('treatment_plan_items')
+    .insert(rows.map(r => ({ ...r, plan_id: planId })))
+    .select();
+
+  if (error) throw error;
+  return data;
+};
+
+// Re-quote existing items in place, so item ids (and links to them) stay valid
+const QUOTE_FIELDS = [
+  'service_name', 'quoted_price', 'price_version_id', 'allow_installment',
+  'installment_times', 'installment_interval', 'custom_interval_days'
+];
+
+const requoteItems = async (items) => {
+  const { rows, error } = await buildItems(items);
+  if (error) return { error };
+
+  const updated = [];
+  for (const [index, item] of items.entries()) {
+    const quote = Object.fromEntries(QUOTE_FIELDS.map(f => [f, rows[index][f]]));
+
+    const { data, error: updateError } = await supabase
+      .from('treatment_plan_items')
+      .update(quote)
+      .eq('id', item.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+    updated.push(data);
+  }
+
+  return { items: updated };
+};
+
+const logPlan = (req, plan, action, description) => supabase.from('activity_logs').insert({
+  admin_id: req.user.id,
+  action,
+  table_name: 'treatment_plans',
+  record_id: String(plan.id),
+  description
+});
+
+// GET plans (patients: their own, not drafts; dentists: plans they wrote; admins: all)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { id, usertype } = req.user;
+    const { patient_id, status } = req.query;
+
+    let q = supabase
+      .from('treatment_plans')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (usertype === 'patient') q = q.eq('patient_id', id).neq('status', 'draft');
+    if (usertype === 'dentist') q = q.eq('dentist_id', id);
+    if (patient_id && usertype !== 'patient') q = q.eq('patient_id', patient_id);
+    if (status) q = q.eq('status', status);
+
+    const { data, error } = await q;
+    if (error) return res.status(400).json({ message: error.message });
+
+    res.json({ plans: data });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET one plan with items and totals
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    res.json({ ...plan, summary: summarize(plan.items) });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST create a draft plan
+router.post(
+  '/',
+  requirePermission('treatment-plans:write'),
+  body('patient_id').notEmpty().withMessage('Patient is required'),
+  body('title').notEmpty().withMessage('Title is required'),
+  validateItems,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patient_id, title, notes, items } = req.body;
+      const { id: userId, usertype } = req.user;
+
+      // Dentists plan under their own name
+      const dentistId = usertype === 'dentist' ? userId : req.body.dentist_id;
+      if (!dentistId) return res.status(400).json({ message: "dentist_id is required" });
+
+      const { data: people, error: peopleError } = await supabase
+        .from('users')
+        .select('id, usertype, firstname, lastname')
+        .in('id', [patient_id, dentistId])
+        .eq('is_deleted', false);
+
+      if (peopleError) return res.status(400).json({ message: peopleError.message });
+
+      const patient = people.find(p => p.id === patient_id && p.usertype === 'patient');
+      const dentist = people.find(p => p.id === dentistId && p.usertype === 'dentist');
+
+      if (!patient) return res.status(404).json({ message: "Patient not found" });
+      if (!dentist) return res.status(404).json({ message: "Dentist not found" });
+
+      const { rows, error: itemError } = await buildItems(items);
+      if (itemError) return res.status(400).json({ message: itemError });
+
+      const { data: plan, error } = await supabase
+        .from('treatment_plans')
+        .insert({
+          patient_id,
+          dentist_id: dentistId,
+          title,
+          notes: notes || null,
+          status: 'draft',
+          created_by: userId
+        })
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ message: error.message });
+
+      const savedItems = await replaceItems(plan.id, rows);
+
+      await logPlan(req, plan, 'create_treatment_plan',
+        `Created treatment plan "${title}" for ${patient.firstname} ${patient.lastname} (${rows.length} items)`);
+
+      res.status(201).json({
+        message: 'Treatment plan created',
+        plan: { ...plan, items: savedItems, summary: summarize(savedItems) }
+      });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// PUT edit a draft (items are re-quoted at today's prices)
+router.put(
+  '/:id',
+  requirePermission('treatment-plans:write'),
+  body('title').optional().notEmpty().withMessage('Title cannot be empty'),
+  body('items').optional(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      if (plan.status !== 'draft') {
+        return res.status(400).json({ message: `Only drafts can be edited (plan is ${plan.status})` });
+      }
+
+      let items = plan.items;
+      if (req.body.items !== undefined) {
+        await Promise.all(validateItems.map(v => v.run(req)));
+        const itemErrors = validationResult(req);
+        if (!itemErrors.isEmpty()) return res.status(400).json({ errors: itemErrors.array() });
+
+        const { rows, error: itemError } = await buildItems(req.body.items);
+        if (itemError) return res.status(400).json({ message: itemError });
+        items = await replaceItems(plan.id, rows);
+      }
+
+      const { data: updated, error } = await supabase
+        .from('treatment_plans')
+        .update({
+          title: req.body.title ?? plan.title,
+          notes: req.body.notes ?? plan.notes,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', plan.id)
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ message: error.message });
+
+      await logPlan(req, plan, 'update_treatment_plan', `Updated treatment plan "${updated.title}"`);
+
+      res.json({ message: 'Treatment plan updated', plan: { ...updated, items, summary: summarize(items) } });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+// POST propose to the patient (re-quotes, starts the validity window, notifies the app)
+router.post('/:id/propose', requirePermission('treatment-plans:write'), async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    if (!['draft', 'proposed'].includes(plan.status)) {
+      return res.status(400).json({ message: `Cannot propose a plan that is ${plan.status}` });
+    }
+
+    // Quote expired or prices moved since drafting → quote again
+    const { items, error: itemError } = await requoteItems(plan.items);
+    if (itemError) return res.status(400).json({ message: itemError });
+
+    const now = new Date();
+    const summary = summarize(items);
+
+    const { data: updated, error } = await supabase
+      .from('treatment_plans')
+      .update({
+        status: 'proposed',
+        total_estimate: summary.total,
+        installment_eligible_total: summary.installment_eligible_total,
+        proposed_at: now.toISOString(),
+        valid_until: new Date(now.getTime() + QUOTE_VALID_DAYS * 86400000).toISOString(),
+        updated_at: now.toISOString()
+      })
+      .eq('id', plan.id)
+      .select()
+      .single();
+
+    if (error) return res.status(400).json({ message: error.message });
+
+    await supabase.from('notifications').insert({
+      message: `Your dentist proposed a treatment plan: ${plan.title}`,
+      type: 'treatment_plan_proposed',
+      created_by: req.user.id,
+      recipient_id: plan.patient_id
+    });
+
+    try {
+      const { data: patient } = await supabase
+        .from('users')
+        .select('fcm_token')
+        .eq('id', plan.patient_id)
+        .maybeSingle();
+
+      await queuePush({
+        tokens: [patient?.fcm_token],
+        notification: {
+          title: "🦷 New Treatment Plan",
+          body: `${plan.title}: estimated ${summary.total.toFixed(2)}`
+        },
+        data: { treatmentPlanId: String(plan.id) }
+      });
+    } catch (pushErr) {
+      console.warn("⚠️ Push notification could not be queued:", pushErr.message);
+    }
+
+    await logPlan(req, plan, 'propose_treatment_plan', `Proposed treatment plan "${plan.title}" (${summary.total.toFixed(2)})`);
+
+    res.json({ message: 'Treatment plan proposed', plan: { ...updated, items, summary } });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST accept / decline (the patient, from the app)
+const respond = (decision) => async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    if (req.user.id !== plan.patient_id) {
+      return res.status(403).json({ message: "Only the patient can respond to a treatment plan" });
+    }
+    if (plan.status !== 'proposed') {
+      return res.status(400).json({ message: `Plan is ${plan.status}, not waiting for an answer` });
+    }
+    if (decision === 'accepted' && plan.valid_until && new Date(plan.valid_until) < new Date()) {
+      return res.status(409).json({ message: "This quote has expired, ask your dentist for an updated plan" });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('treatment_plans')
+      .update({
+        status: decision,
+        responded_at: new Date().toISOString(),
+        decline_reason: decision === 'declined' ? (req.body?.reason || null) : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', plan.id)
+      .eq('status', 'proposed')
+      .select()
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ message: error.message });
+    if (!updated) return res.status(409).json({ message: "Plan was changed meanwhile, reload it" });
+
+    await supabase.from('notifications').insert({
+      message: `Treatment plan "${plan.title}" was ${decision} by the patient`,
+      type: `treatment_plan_${decision}`,
+      created_by: req.user.id,
+      recipient_id: plan.dentist_id
+    });
+
+    await logPlan(req, plan, `${decision === 'accepted' ? 'accept' : 'decline'}_treatment_plan`,
+      `Patient ${decision} treatment plan "${plan.title}"${req.body?.reason ? `: ${req.body.reason}` : ''}`);
+
+    res.json({ message: `Treatment plan ${decision}`, plan: { ...updated, items: plan.items, summary: summarize(plan.items) } });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+router.post('/:id/accept', authenticate, respond('accepted'));
+router.post('/:id/decline', authenticate, respond('declined'));
+
+// POST cancel an open plan
+router.post('/:id/cancel', requirePermission('treatment-plans:write'), async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    if (!OPEN_STATUSES.includes(plan.status)) {
+      return res.status(400).json({ message: `Cannot cancel a plan that is ${plan.status}` });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('treatment_plans')
+      .update({ status: 'cancelled', cancel_reason: req.body?.reason || null, updated_at: new Date().toISOString() })
+      .eq('id', plan.id)
+      .select()
+      .single();
+
+    if (error) return res.status(400).json({ message: error.message });
+
+    await logPlan(req, plan, 'cancel_treatment_plan', `Cancelled treatment plan "${plan.title}"`);
+
+    res.json({ message: 'Treatment plan cancelled', plan: updated });
+  } catch (err) {
+    console.error("Server error:", err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST link an accepted item to the appointment that schedules it and/or the record that did it
+router.post(
+  '/:id/items/:itemId/link',
+  requirePermission('treatment-plans:write'),
+  body('appointment_id').optional().isNumeric().withMessage('appointment_id must be numeric'),
+  body('record_id').optional().isNumeric().withMessage('record_id must be numeric'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { appointment_id, record_id } = req.body;
+      if (!appointment_id && !record_id) {
+        return res.status(400).json({ message: "appointment_id or record_id is required" });
+      }
+
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      if (plan.status !== 'accepted') {
+        return res.status(400).json({ message: "Only items of an accepted plan can be scheduled or recorded" });
+      }
+
+      const item = plan.items.find(i => String(i.id) === String(req.params.itemId));
+      if (!item) return res.status(404).json({ message: "Plan item not found" });
+      if (item.status === 'cancelled') return res.status(400).json({ message: "Item is cancelled" });
+
+      const changes = {};
+
+      if (appointment_id) {
+        const { data: appointment } = await supabase
+          .from('appointments')
+          .select('id, patient_id, service_id, status')
+          .eq('id', appointment_id)
+          .maybeSingle();
+
+        if (!appointment || appointment.patient_id !== plan.patient_id || appointment.service_id !== item.service_id) {
+          return res.status(400).json({ message: "Appointment must be for this patient and this item's service" });
+        }
+        if (DEAD_APPOINTMENT_STATUSES.includes(appointment.status)) {
+          return res.status(400).json({ message: `Appointment is ${appointment.status}` });
+        }
+
+        // One appointment schedules one item
+        const { data: taken } = await supabase
+          .from('treatment_plan_items')
+          .select('id, plan_id')
+          .eq('appointment_id', appointment.id)
+          .neq('id', item.id)
+          .limit(1);
+
+        if (taken?.length) {
+          return res.status(409).json({ message: "Appointment is already linked to another plan item", item: taken[0] });
+        }
+        changes.appointment_id = appointment.id;
+        if (item.status === 'planned') changes.status = 'scheduled';
+      }
+
+      if (record_id) {
+        const { data: record } = await supabase
+          .from('dental_records')
+          .select('id, patient_id')
+          .eq('id', record_id)
+          .eq('is_deleted', false)
+          .maybeSingle();
+
+        const { data: link } = await supabase
+          .from('record_services')
+          .select('service_id')
+          .eq('record_id', record_id)
+          .eq('service_id', item.service_id)
+          .maybeSingle();
+
+        if (!record || record.patient_id !== plan.patient_id || !link) {
+          return res.status(400).json({ message: "Record must be for this patient and include this item's service" });
+        }
+        changes.record_id = record.id;
+        changes.status = 'done';
+      }
+
+      const { data: updatedItem, error } = await supabase
+        .from('treatment_plan_items')
+        .update(changes)
+        .eq('id', item.id)
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ message: error.message });
+
+      // ✅ Every item done → plan completed
+      const items = plan.items.map(i => (i.id === item.id ? updatedItem : i));
+      const summary = summarize(items);
+      let status = plan.status;
+
+      if (summary.items_total > 0 && summary.items_done === summary.items_total) {
+        status = 'completed';
+        await supabase
+          .from('treatment_plans')
+          .update({ status, completed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+          .eq('id', plan.id);
+      }
+
+      await logPlan(req, plan, 'link_treatment_plan_item',
+        `Linked ${item.service_name} of plan "${plan.title}" to ${[
+          changes.appointment_id && `appointment #${changes.appointment_id}`,
+          changes.record_id && `record #${changes.record_id}`
+        ].filter(Boolean).join(' and ')}`);
+
+      res.json({ message: 'Plan item updated', item: updatedItem, plan_status: status, summary });
+    } catch (err) {
+      console.error("Server error:", err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,225 +1,516 @@
 const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const { query, validationResult } = require('express-validator');
 const router = express.Router();
 const supabase = require('../supabase'); // Service role
-const jwt = require("jsonwebtoken");
+const { requirePermission } = require('../middleware/auth');
+const { loginThrottle } = require('../utils/loginThrottle');
+const { getAuthUser } = require('../utils/credentials');
+const { ACCOUNT_STATUS, syncVerification } = require('../utils/accountStatus');
+const { applyTextSearch } = require('../utils/search');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { toInstant } = require('../utils/pricing');
+
+const USERTYPES = ['patient', 'dentist', 'admin'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_EXPORT_ROWS = 50000;
+const USER_SORTS = {
+  created_at: ['created_at'],
+  name: ['lastname', 'firstname'],
+  username: ['username']
+};
 
-// Middleware to check admin from JWT
-const checkAdmin = async (req, res, next) => {
-  try {
-    const rawHeader = req.headers.authorization;
-    const token = rawHeader?.split(" ")[1];
+// Auth owns the email; users.email can be missing or stale on older rows
+// (scripts/backfill-user-emails.js). Pass authEmailsById for big batches.
+const withAuthEmails = (profiles, authEmailsById = null) => Promise.all(profiles.map(async (profile) => {
+  const email = authEmailsById
+    ? authEmailsById.get(profile.id)
+    : (await getAuthUser(profile.id))?.email;
+  return { ...profile, email: email || profile.email || null };
+}));
+
+// Filters shared by the page query and the per-usertype counts
+const applyUserFilters = (q, { search, gender, created_from, created_to }) => {
+  q = q.eq('is_deleted', false);
+  q = applyTextSearch(q, search, ['firstname', 'lastname', 'username', 'email', 'contact']);
+  if (gender) q = q.eq('gender', gender);
+  if (created_from) q = q.gte('created_at', new Date(created_from).toISOString());
+  if (created_to) q = q.lte('created_at', toInstant(created_to).toISOString()); // a bare date includes that whole day
+  return q;
+};
 
-    if (!token) return res.status(401).json({ message: "No token" });
+// ✅ GET ALL USERS (search, filter, sort, paginate)
+//   ?q=&usertype=&gender=&created_from=&created_to=&sort=created_at|name|username&order=asc|desc&page=&limit=
+router.get(
+  '/all',
+  requirePermission('users:manage'),
+  query('usertype').optional().isIn(USERTYPES).withMessage(`usertype must be one of ${USERTYPES.join(', ')}`),
+  query('created_from').optional().isISO8601().withMessage('created_from must be a date'),
+  query('created_to').optional().isISO8601().withMessage('created_to must be a date'),
+  query('sort').optional().isIn(Object.keys(USER_SORTS)).withMessage(`sort must be one of ${Object.keys(USER_SORTS).join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be 1 or more'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be 1-${MAX_PAGE_SIZE}`),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+      const { q: search, usertype, gender, created_from, created_to, sort = 'created_at' } = req.query;
+      const order = req.query.order || (sort === 'created_at' ? 'desc' : 'asc');
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || DEFAULT_PAGE_SIZE;
+      const filters = { search, gender, created_from, created_to };
+
+      // 1️⃣ One page of non-deleted profiles
+      let pageQuery = applyUserFilters(
+        supabase
+          .from('users')
+          .select(`
+            id, username, email, usertype, firstname, lastname, birthdate,
+            contact, address, gender, allergies, medicalhistory,
+            status, is_deleted, created_at
+          `, { count: 'exact' }),
+        filters
+      );
+
+      if (usertype) pageQuery = pageQuery.eq('usertype', usertype);
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      USER_SORTS[sort].forEach(column => {
+        pageQuery = pageQuery.order(column, { ascending: order === 'asc' });
+      });
 
-    if (decoded.usertype !== "admin") {
-      return res.status(403).json({ message: "Admins only" });
+      const { data: profiles, count, error: dbError } = await pageQuery
+        .order('id', { ascending: true })
+        .range((page - 1) * limit, page * limit - 1);
+
+      if (dbError) throw dbError;
+
+      // 2️⃣ Emails from Supabase Auth (users.email is only the search mirror)
+      const users = await withAuthEmails(profiles);
+
+      // 3️⃣ Count users by type (same search, any usertype)
+      const counts = {};
+      await Promise.all(USERTYPES.map(async (type) => {
+        const { count: typeCount, error } = await applyUserFilters(
+          supabase.from('users').select('id', { count: 'exact', head: true }),
+          filters
+        ).eq('usertype', type);
+
+        if (error) throw error;
+        counts[type] = typeCount;
+      }));
+
+      res.json({
+        users,
+        counts,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          total_pages: Math.ceil(count / limit)
+        }
+      });
+    } catch (err) {
+      console.error("Error in /all route:", err);
+      res.status(500).json({ message: "Server error", error: err.message });
     }
+  }
+);
 
-    req.user = decoded;
-    req.token = token; // ✅ Save token for later logging
 
-    next();
-  } catch (err) {
-    console.error("checkAdmin error:", err);
-    return res.status(401).json({ message: "Invalid token" });
+
+// ✅ Capitalize names, lowercase username (same for /add and /import)
+const cap = (str) => str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
+
+const PROFILE_FIELDS = [
+  'username', 'email', 'password', 'usertype', 'firstname', 'lastname',
+  'birthdate', 'contact', 'address', 'gender', 'allergies', 'medicalhistory'
+];
+
+// Every Auth user that has an email
+const loadAuthUsers = async () => {
+  const users = [];
+  let page = 1;
+  while (true) {
+    const { data: authData, error } = await supabase.auth.admin.listUsers({ page, perPage: 1000 });
+    if (error) throw error;
+
+    users.push(...authData.users.filter(u => u.email));
+
+    if (!authData.nextPage) break;
+    page++;
   }
+  return users;
 };
 
-// ✅ GET ALL USERS (check users table first)
-router.get('/all', checkAdmin, async (req, res) => {
-  try {
+// Every Auth user keyed by lowercase email
+const loadAuthUsersByEmail = async () =>
+  new Map((await loadAuthUsers()).map(u => [u.email.toLowerCase(), u]));
 
-    // ✅ Log token + decoded info
-    console.log("\n🔐 Token used for /all:", req.token);
-    console.log("👤 Decoded user:", req.user);
+// Decide between a new Auth user and reviving a soft-deleted profile whose Auth login still exists
+// Returns { action: 'create' | 'restore', authUserId } or { error }
+const planUser = async (email, authUsersByEmail) => {
+  const matchedUser = authUsersByEmail.get(email.toLowerCase());
+  if (!matchedUser) return { action: 'create', authUserId: null };
 
-    // 1️⃣ Get all non-deleted users from your "users" table
-    const { data: profiles, error: dbError } = await supabase
-      .from('users')
-      .select(`
-        id, username, usertype, firstname, lastname, birthdate, 
-        contact, address, gender, allergies, medicalhistory,
-        is_deleted, created_at
-      `)
-      .eq('is_deleted', false);
+  const { data: existingProfile } = await supabase
+    .from('users')
+    .select('id, is_deleted')
+    .eq('id', matchedUser.id)
+    .maybeSingle();
 
-    if (dbError) throw dbError;
+  if (existingProfile && existingProfile.is_deleted !== true) {
+    return { error: 'Email already in use by an active user.' };
+  }
 
-    // 2️⃣ Get all users from Supabase Auth (handle pagination)
-    let allAuthUsers = [];
-    let page = 1;
-    const perPage = 100;
-    while (true) {
-      const { data: authData, error: authError } = await supabase.auth.admin.listUsers({ page, perPage });
-      if (authError) throw authError;
+  return { action: 'restore', authUserId: matchedUser.id };
+};
 
-      allAuthUsers = allAuthUsers.concat(authData.users);
+// Apply a plan: create the Auth login if needed, upsert the profile, write the activity log
+const createOrRestoreUser = async (fields, plan, adminId) => {
+  const formattedFirst = cap(fields.firstname);
+  const formattedLast = cap(fields.lastname);
 
-      if (!authData.nextPage) break;
-      page++;
-    }
+  let userIdToUse = plan.authUserId;
 
-    // 3️⃣ Merge profiles and attach email from auth.users
-    const merged = profiles
-      .map(profile => {
-        const authUser = allAuthUsers.find(u => u.id === profile.id) || {};
-        return {
-          ...profile,
-          email: authUser.email || null,
-          created_at_auth: authUser.created_at || null
-        };
-      })
-      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  if (plan.action === 'create') {
+    const { data: authUser, error: authError } = await supabase.auth.admin.createUser({
+      email: fields.email,
+      // No password (CSV import) → random one; the user sets theirs via forgot-password
+      password: fields.password || crypto.randomBytes(24).toString('base64url'),
+      email_confirm: true,
+    });
 
-    // 4️⃣ Count users by type
-    const userTypeCount = merged.reduce((acc, user) => {
-      acc[user.usertype] = (acc[user.usertype] || 0) + 1;
-      return acc;
-    }, {});
+    if (authError) throw new Error(authError.message);
 
-    console.log("📊 User count by type:", userTypeCount);
+    userIdToUse = authUser.user.id;
+    console.log("✅ Created new Auth user:", userIdToUse);
+  } else {
+    console.log("♻️ Profile missing or deleted → reusing:", userIdToUse);
+  }
 
-    res.json(merged);
-  } catch (err) {
-    console.error("Error in /all route:", err);
-    res.status(500).json({ message: "Server error", error: err.message });
+  // ✅ Insert / Restore profile
+  const { data: newUser, error: profileError } = await supabase
+    .from('users')
+    .upsert({
+      id: userIdToUse,
+      username: fields.username.toLowerCase(),
+      email: fields.email,
+      usertype: fields.usertype,
+      firstname: formattedFirst,
+      lastname: formattedLast,
+      birthdate: fields.birthdate || null,
+      contact: fields.contact || null,
+      address: fields.address || null,
+      gender: fields.gender || null,
+      allergies: fields.allergies || null,
+      medicalhistory: fields.medicalhistory || null,
+      status: ACCOUNT_STATUS.ACTIVE, // created by an admin → no verification/approval step
+      is_deleted: false,
+      deleted_at: null,
+      updated_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (profileError) {
+    // Don't leave an orphaned Auth login behind
+    if (plan.action === 'create') await supabase.auth.admin.deleteUser(userIdToUse);
+    throw new Error(profileError.message);
   }
-});
 
+  // ✅ Activity Log
+  const { error: logError } = await supabase
+    .from('activity_logs')
+    .insert([{
+      admin_id: adminId,
+      action: 'create_or_restore_user',
+      table_name: 'users',
+      record_id: newUser.id,
+      description: `Admin created/restored user: ${formattedFirst} ${formattedLast} (${fields.email})`,
+    }]);
+
+  if (logError) console.log("❌ Activity Log INSERT FAILED:", logError);
 
+  return { user: newUser, restored: plan.action === 'restore' };
+};
 
-// ✅ ADD NEW USER (DEBUG MODE) working
-router.post('/add', checkAdmin, async (req, res) => { 
+// ✅ ADD NEW USER
+router.post('/add', requirePermission('users:manage'), async (req, res) => {
   console.log("🔥 /users/add called");
 
-  const {
-    username,
-    email,
-    password,
-    usertype,
-    firstname,
-    lastname,
-    birthdate,
-    contact,
-    address,
-    gender,
-    allergies,
-    medicalhistory,
-  } = req.body;
+  const { username, email, password, usertype, firstname, lastname } = req.body;
 
   if (!username || !email || !password || !usertype || !firstname || !lastname) {
     return res.status(400).json({ message: 'Required fields missing' });
   }
 
-  // ✅ Format names (capitalize first letter)
-  const cap = (str) => str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
-  const formattedFirst = cap(firstname);
-  const formattedLast = cap(lastname);
+  try {
+    // ✅ 1. Check if email exists in Auth
+    const plan = await planUser(email, await loadAuthUsersByEmail());
+    if (plan.error) return res.status(400).json({ message: plan.error });
+
+    // ✅ 2. Insert / Restore
+    const fields = Object.fromEntries(PROFILE_FIELDS.map(f => [f, req.body[f]]));
+    const { user: newUser, restored } = await createOrRestoreUser(fields, plan, req.user.id);
+
+    console.log("✅ User profile inserted/restored:", newUser.id);
 
-  // ✅ Normalize username (optional: lowercase)
-  const formattedUsername = username.toLowerCase();
+    return res.status(201).json({
+      message: restored ? 'User restored successfully' : 'User created successfully',
+      user: newUser,
+    });
 
+  } catch (err) {
+    console.log("💥 ERROR:", err.message);
+    return res.status(500).json({ message: err.message || 'Server error' });
+  }
+});
+
+const IMPORT_USERTYPES = ['patient', 'dentist'];
+const IMPORT_REQUIRED = ['username', 'email', 'usertype', 'firstname', 'lastname'];
+const MAX_IMPORT_ROWS = 2000;
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+// Check one CSV row on its own; returns a list of { field, message }
+const validateImportRow = (row) => {
+  const problems = [];
+
+  IMPORT_REQUIRED.forEach(field => {
+    if (!row[field]) problems.push({ field, message: `${field} is required` });
+  });
+
+  if (row.username && row.username.length < 3) {
+    problems.push({ field: 'username', message: 'Username must be at least 3 characters long' });
+  }
+  if (row.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(row.email)) {
+    problems.push({ field: 'email', message: 'Invalid email format' });
+  }
+  if (row.usertype && !IMPORT_USERTYPES.includes(row.usertype)) {
+    problems.push({ field: 'usertype', message: `usertype must be one of ${IMPORT_USERTYPES.join(', ')}` });
+  }
+  if (row.password && row.password.length < 6) {
+    problems.push({ field: 'password', message: 'Password must be at least 6 characters long' });
+  }
+  if (row.birthdate && (!/^\d{4}-\d{2}-\d{2}$/.test(row.birthdate) || isNaN(new Date(row.birthdate)))) {
+    problems.push({ field: 'birthdate', message: 'birthdate must be YYYY-MM-DD' });
+  }
+
+  return problems;
+};
+
+// POST /users/import (multipart "file", CSV with a header row; ?dry_run=true only validates)
+// Columns: username,email,usertype,firstname,lastname + optional password,birthdate,contact,
+// address,gender,allergies,medicalhistory. Rows without a password get a random one.
+router.post('/import', requirePermission('users:manage'), csvUpload.single('file'), async (req, res) => {
+  const dryRun = req.query.dry_run === 'true';
+
+  if (!req.file) return res.status(400).json({ message: 'CSV file is required (field "file")' });
+
+  let records;
   try {
-    // ✅ 1. Check if email exists in Auth
-    const { data: authList } = await supabase.auth.admin.listUsers();
-    const matchedUser = authList.users.find(u => u.email === email);
+    records = parseCsv(req.file.buffer.toString('utf8'));
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
 
-    let userIdToUse = null;
+  if (records.length < 2) return res.status(400).json({ message: 'CSV has no data rows' });
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows per import` });
+  }
 
-    if (matchedUser) {
-      console.log("📌 Email exists in Auth:", matchedUser.id);
+  const [headerRecord, ...dataRecords] = records;
+  const headers = headerRecord.cells.map(h => h.trim().toLowerCase());
 
-      const { data: existingProfile } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', matchedUser.id)
-        .maybeSingle();
-
-      if (!existingProfile || existingProfile.is_deleted === true) {
-        console.log("♻️ Profile missing or deleted → reusing:", matchedUser.id);
-        userIdToUse = matchedUser.id;
-      } else {
-        return res.status(400).json({ message: 'Email already in use by an active user.' });
-      }
+  const missing = IMPORT_REQUIRED.filter(c => !headers.includes(c));
+  if (missing.length > 0) return res.status(400).json({ message: `Missing columns: ${missing.join(', ')}` });
 
-    } else {
-      const { data: authUser, error: authError } = await supabase.auth.admin.createUser({
-        email,
-        password,
-        email_confirm: true,
+  const ignoredColumns = headers.filter(h => h && !PROFILE_FIELDS.includes(h));
+
+  try {
+    const rows = dataRecords.map(({ line, cells }) => {
+      const fields = {};
+      headers.forEach((h, i) => {
+        if (PROFILE_FIELDS.includes(h)) fields[h] = (cells[i] || '').trim();
       });
+      if (fields.username) fields.username = fields.username.toLowerCase();
+      if (fields.usertype) fields.usertype = fields.usertype.toLowerCase();
+      return { line, fields, errors: validateImportRow(fields) };
+    });
 
-      if (authError) throw new Error(authError.message);
+    // ✅ Duplicates inside the file
+    const seen = { username: new Map(), email: new Map() };
+    rows.forEach(row => {
+      ['username', 'email'].forEach(field => {
+        const key = (row.fields[field] || '').toLowerCase();
+        if (!key) return;
+        if (seen[field].has(key)) {
+          row.errors.push({ field, message: `Duplicate ${field}, also on line ${seen[field].get(key)}` });
+        } else {
+          seen[field].set(key, row.line);
+        }
+      });
+    });
 
-      userIdToUse = authUser.user.id;
-      console.log("✅ Created new Auth user:", userIdToUse);
+    // ✅ Usernames already taken by active users
+    const usernames = [...seen.username.keys()];
+    const taken = new Set();
+    for (let i = 0; i < usernames.length; i += 500) {
+      const { data, error } = await supabase
+        .from('users')
+        .select('username')
+        .in('username', usernames.slice(i, i + 500))
+        .eq('is_deleted', false);
+      if (error) throw error;
+      data.forEach(u => taken.add(u.username.toLowerCase()));
     }
 
-    // ✅ 4. Insert / Restore profile
-    const { data: newUser, error: profileError } = await supabase
-      .from('users')
-      .upsert({
-        id: userIdToUse,
-        username: formattedUsername,
-        usertype,
-        firstname: formattedFirst,
-        lastname: formattedLast,
-        birthdate,
-        contact,
-        address,
-        gender,
-        allergies,
-        medicalhistory,
-        is_deleted: false,
-        deleted_at: null,
-        updated_at: new Date()
-      })
-      .select()
-      .single();
-
-    if (profileError) throw new Error(profileError.message);
+    rows.forEach(row => {
+      if (taken.has(row.fields.username)) row.errors.push({ field: 'username', message: 'Username already taken' });
+    });
 
-    console.log("✅ User profile inserted/restored:", newUser.id);
+    // ✅ Create or restore (same rules as /add)
+    const authUsersByEmail = await loadAuthUsersByEmail();
+    const results = [];
+
+    for (const row of rows) {
+      if (row.errors.length === 0) {
+        const plan = await planUser(row.fields.email, authUsersByEmail);
+
+        if (plan.error) {
+          row.errors.push({ field: 'email', message: plan.error });
+        } else if (dryRun) {
+          results.push({ line: row.line, username: row.fields.username, action: plan.action });
+        } else {
+          try {
+            const { user } = await createOrRestoreUser(row.fields, plan, req.user.id);
+            results.push({ line: row.line, username: user.username, id: user.id, action: plan.action });
+          } catch (err) {
+            row.errors.push({ field: null, message: err.message });
+          }
+        }
+      }
+    }
 
-    // ✅ 5. Activity Log
-    console.log("🧾 Attempting to write activity log...");
-    console.log("📝 Log Details:", {
-      admin_id: req.user.id,
-      record_id: newUser.id,
-      action: "create_or_restore_user"
-    });
+    const errors = rows.flatMap(row => row.errors.map(e => ({ line: row.line, ...e })));
+    const summary = {
+      total: rows.length,
+      created: results.filter(r => r.action === 'create').length,
+      restored: results.filter(r => r.action === 'restore').length,
+      failed: rows.filter(r => r.errors.length > 0).length
+    };
 
-    const { error: logError } = await supabase
-      .from('activity_logs')
-      .insert([{
+    if (!dryRun) {
+      await supabase.from('activity_logs').insert([{
         admin_id: req.user.id,
-        action: 'create_or_restore_user',
+        action: 'import_users',
         table_name: 'users',
-        record_id: newUser.id,
-        description: `Admin created/restored user: ${formattedFirst} ${formattedLast} (${email})`,
+        record_id: null,
+        description: `Admin imported users from CSV: ${summary.created} created, ${summary.restored} restored, ${summary.failed} failed`
       }]);
-
-    if (logError) {
-      console.log("❌ Activity Log INSERT FAILED:", logError);
-    } else {
-      console.log("✅ Activity log recorded successfully!");
     }
 
-    return res.status(201).json({
-      message: matchedUser ? 'User restored successfully' : 'User created successfully',
-      user: newUser,
+    return res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Dry run, nothing was saved' : 'Import finished',
+      dry_run: dryRun,
+      ...summary,
+      ignored_columns: ignoredColumns,
+      results,
+      errors
     });
-
   } catch (err) {
-    console.log("💥 ERROR:", err.message);
-    return res.status(500).json({ message: err.message || 'Server error' });
+    console.error("💥 Import error:", err.message);
+    return res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
+// GET /users/export (CSV of /users/all with the same filters, all pages)
+router.get(
+  '/export',
+  requirePermission('users:manage'),
+  query('usertype').optional().isIn(USERTYPES).withMessage(`usertype must be one of ${USERTYPES.join(', ')}`),
+  query('created_from').optional().isISO8601().withMessage('created_from must be a date'),
+  query('created_to').optional().isISO8601().withMessage('created_to must be a date'),
+  query('sort').optional().isIn(Object.keys(USER_SORTS)).withMessage(`sort must be one of ${Object.keys(USER_SORTS).join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+      const { q: search, usertype, gender, created_from, created_to, sort = 'created_at' } = req.query;
+      const order = req.query.order || (sort === 'created_at' ? 'desc' : 'asc');
+
+      // ✅ Batches so large exports don't hit the row limit
+      const users = [];
+      while (users.length < MAX_EXPORT_ROWS) {
+        let q = applyUserFilters(
+          supabase
+            .from('users')
+            .select('id, username, email, usertype, firstname, lastname, birthdate, contact, address, gender, allergies, medicalhistory, status, created_at'),
+          { search, gender, created_from, created_to }
+        );
+        if (usertype) q = q.eq('usertype', usertype);
+        USER_SORTS[sort].forEach(column => { q = q.order(column, { ascending: order === 'asc' }); });
+
+        const { data, error } = await q
+          .order('id', { ascending: true })
+          .range(users.length, users.length + EXPORT_BATCH_SIZE - 1);
+        if (error) return res.status(400).json({ message: error.message });
+
+        users.push(...data);
+        if (data.length < EXPORT_BATCH_SIZE) break;
+      }
+
+      // ✅ Auth emails (one listing instead of a lookup per row)
+      const authEmailsById = new Map((await loadAuthUsers()).map(u => [u.id, u.email]));
+      const rows = await withAuthEmails(users.slice(0, MAX_EXPORT_ROWS), authEmailsById);
+
+      // Same columns /users/import reads, so the file can be re-imported
+      const csv = toCsv(rows, [
+        { key: 'username', header: 'username' },
+        { key: 'email', header: 'email' },
+        { key: 'usertype', header: 'usertype' },
+        { key: 'firstname', header: 'firstname' },
+        { key: 'lastname', header: 'lastname' },
+        { key: 'birthdate', header: 'birthdate' },
+        { key: 'contact', header: 'contact' },
+        { key: 'address', header: 'address' },
+        { key: 'gender', header: 'gender' },
+        { key: 'allergies', header: 'allergies' },
+        { key: 'medicalhistory', header: 'medicalhistory' },
+        { key: 'status', header: 'status' },
+        { key: 'created_at', header: 'created_at' },
+        { key: 'id', header: 'id' }
+      ]);
+
+      // ✅ Exports are audited (patient data)
+      await supabase.from('activity_logs').insert([{
+        admin_id: req.user.id,
+        action: 'export_users',
+        table_name: 'users',
+        record_id: null,
+        description: `Admin exported ${Math.min(users.length, MAX_EXPORT_ROWS)} users`,
+        undo_data: { filters: req.query }
+      }]);
+
+      const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="users-${stamp}.csv"`);
+      res.send(csv);
+    } catch (err) {
+      console.error("Error in /export route:", err);
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
 // DELETE /users/:id (soft delete)
-router.delete('/delete/:id', checkAdmin, async (req, res) => {
+router.delete('/delete/:id', requirePermission('users:manage'), async (req, res) => {
   const userId = req.params.id;
   const adminId = req.user.id;
 
@@ -280,7 +571,7 @@ router.delete('/delete/:id', checkAdmin, async (req, res) => {
   }
 });
 
-router.put('/edit/:id', checkAdmin, async (req, res) => {
+router.put('/edit/:id', requirePermission('users:manage'), async (req, res) => {
   console.log("🔥 /users/edit called");
 
   const userId = req.params.id;
@@ -334,8 +625,9 @@ router.put('/edit/:id', checkAdmin, async (req, res) => {
       return res.status(409).json({ message: "Username already exists" });
     }
 
-    // ✅ Update Supabase Auth (email/password only)
-    if (email !== existingUser.email || password) {
+    // ✅ Update Supabase Auth (email/password only); compare with Auth, the profile copy may be stale
+    const authEmail = (await getAuthUser(userId))?.email;
+    if (email !== authEmail || password) {
       const { error: authUpdateError } = await supabase.auth.admin.updateUserById(
         userId,
         {
@@ -350,9 +642,10 @@ router.put('/edit/:id', checkAdmin, async (req, res) => {
       }
     }
 
-    // ✅ Only update profile fields — NO email here
+    // ✅ Profile fields (email is mirrored from Auth so /users/all can search it)
     const profilePayload = {
       username,
+      email,
       usertype,
       firstname,
       lastname,
@@ -410,4 +703,141 @@ router.put('/edit/:id', checkAdmin, async (req, res) => {
   }
 });
 
+// POST /users/unlock/:id (clear login lockout)
+router.post('/unlock/:id', requirePermission('users:manage'), async (req, res) => {
+  const userId = req.params.id;
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, username, firstname, lastname')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error || !user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await loginThrottle.unlock(user.username);
+
+    await supabase.from('activity_logs').insert([{
+      admin_id: req.user.id,
+      action: 'unlock_user',
+      table_name: 'users',
+      record_id: userId,
+      description: `Admin unlocked login for ${user.firstname} ${user.lastname} (${user.username})`
+    }]);
+
+    return res.status(200).json({ message: "User login unlocked" });
+  } catch (err) {
+    console.error("💥 Error unlocking user:", err.message);
+    return res.status(500).json({ message: "Error unlocking user", error: err.message });
+  }
+});
+
+// GET /users/pending (dentist sign-ups waiting for approval)
+router.get('/pending', requirePermission('users:manage'), async (req, res) => {
+  try {
+    // Dentists who verified since their last login attempt are still marked pending_verification
+    const { data: unverified, error: unverifiedError } = await supabase
+      .from('users')
+      .select('id, usertype, status')
+      .eq('usertype', 'dentist')
+      .eq('status', ACCOUNT_STATUS.PENDING_VERIFICATION)
+      .eq('is_deleted', false);
+
+    if (unverifiedError) throw unverifiedError;
+
+    for (const user of unverified) {
+      const authUser = await getAuthUser(user.id);
+      await syncVerification({ ...user, email_confirmed_at: authUser?.email_confirmed_at });
+    }
+
+    const { data: pending, error } = await supabase
+      .from('users')
+      .select('id, username, email, usertype, firstname, lastname, contact, status, email_verified_at, created_at')
+      .eq('status', ACCOUNT_STATUS.PENDING_APPROVAL)
+      .eq('is_deleted', false)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(await withAuthEmails(pending));
+  } catch (err) {
+    console.error("💥 Error loading pending users:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Approve / reject a pending dentist sign-up
+const reviewRegistration = (decision) => async (req, res) => {
+  const userId = req.params.id;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (decision === 'reject' && !reason) {
+    return res.status(400).json({ message: "A reason is required to reject a registration" });
+  }
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, username, firstname, lastname, status')
+      .eq('id', userId)
+      .eq('is_deleted', false)
+      .maybeSingle();
+
+    if (error || !user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.status !== ACCOUNT_STATUS.PENDING_APPROVAL) {
+      return res.status(400).json({ message: `User is not waiting for approval (status: ${user.status || ACCOUNT_STATUS.ACTIVE})` });
+    }
+
+    const approved = decision === 'approve';
+
+    // Only flip if still pending so two admins can't both review it
+    const { data: updated, error: updateError } = await supabase
+      .from('users')
+      .update({
+        status: approved ? ACCOUNT_STATUS.ACTIVE : ACCOUNT_STATUS.REJECTED,
+        rejection_reason: approved ? null : reason,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date(),
+        updated_at: new Date()
+      })
+      .eq('id', userId)
+      .eq('status', ACCOUNT_STATUS.PENDING_APPROVAL)
+      .select('id, username, usertype, status, rejection_reason, reviewed_at')
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (!updated) return res.status(409).json({ message: "Registration was already reviewed" });
+
+    await supabase.from('activity_logs').insert([{
+      admin_id: req.user.id,
+      action: approved ? 'approve_user' : 'reject_user',
+      table_name: 'users',
+      record_id: userId,
+      description: approved
+        ? `Admin approved registration of ${user.firstname} ${user.lastname} (${user.username})`
+        : `Admin rejected registration of ${user.firstname} ${user.lastname} (${user.username}): ${reason}`
+    }]);
+
+    return res.status(200).json({
+      message: approved ? "Registration approved" : "Registration rejected",
+      user: updated
+    });
+  } catch (err) {
+    console.error(`💥 Error during ${decision}:`, err.message);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// POST /users/:id/approve
+router.post('/:id/approve', requirePermission('users:manage'), reviewRegistration('approve'));
+
+// POST /users/:id/reject { reason }
+router.post('/:id/reject', requirePermission('users:manage'), reviewRegistration('reject'));
+
 module.exports = router;
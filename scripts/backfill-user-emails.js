@@ -0,0 +1,67 @@
+// One-time backfill: copy each user's Supabase Auth email into users.email
+//
+//   node scripts/backfill-user-emails.js            (apply)
+//   node scripts/backfill-user-emails.js --dry-run  (report only)
+//
+// Auth owns the email; users.email is only a mirror so /users/all can search it.
+// Users created by /users/add before the mirror existed have none, and users whose
+// email was edited back then still carry the old one. Safe to run more than once.
+const supabase = require('../supabase');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 1000;
+
+const run = async () => {
+  console.log(`📧 Backfilling users.email from Supabase Auth${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  const totals = { updated: 0, unchanged: 0, no_profile: 0, failed: 0 };
+  let page = 1;
+
+  while (true) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: PAGE_SIZE });
+    if (error) throw error;
+
+    const authUsers = data.users.filter(u => u.email);
+    const { data: profiles, error: profileError } = await supabase
+      .from('users')
+      .select('id, username, email')
+      .in('id', authUsers.map(u => u.id));
+
+    if (profileError) throw profileError;
+
+    const profilesById = new Map(profiles.map(p => [p.id, p]));
+
+    for (const authUser of authUsers) {
+      const profile = profilesById.get(authUser.id);
+      if (!profile) { totals.no_profile++; continue; }
+      if (profile.email === authUser.email) { totals.unchanged++; continue; }
+
+      if (!DRY_RUN) {
+        const { error: updateError } = await supabase
+          .from('users')
+          .update({ email: authUser.email })
+          .eq('id', profile.id);
+
+        if (updateError) {
+          totals.failed++;
+          console.log(`❌ ${profile.username} (${profile.id}): ${updateError.message}`);
+          continue;
+        }
+      }
+
+      totals.updated++;
+      console.log(`✏️ ${profile.username}: ${profile.email || '(none)'} → ${authUser.email}`);
+    }
+
+    if (!data.nextPage) break;
+    page++;
+  }
+
+  console.log("📊 Result:", totals);
+  process.exit(totals.failed > 0 ? 1 : 0);
+};
+
+run().catch(err => {
+  console.error("💥 Backfill aborted:", err.message);
+  process.exit(1);
+});
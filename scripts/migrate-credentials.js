@@ -0,0 +1,98 @@
+// One-time migration: move bcrypt hashes from users.password into Supabase Auth
+//
+//   node scripts/migrate-credentials.js            (apply)
+//   node scripts/migrate-credentials.js --dry-run  (report only)
+//   node scripts/migrate-credentials.js --overwrite-existing
+//
+// Supabase Auth accepts bcrypt hashes as-is, so nobody has to reset their password.
+// A migrated row gets users.password = null; rows that fail are reported and left alone.
+// Users that already have an Auth login are skipped: their Auth password may be newer than
+// users.password (e.g. changed via /auth/reset-password). --overwrite-existing replaces it anyway.
+const supabase = require('../supabase');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const OVERWRITE_EXISTING = process.argv.includes('--overwrite-existing');
+const PAGE_SIZE = 500;
+
+const isBcrypt = (hash) => /^\$2[abxy]\$\d{2}\$/.test(hash || '');
+
+const migrateUser = async (user) => {
+  if (!isBcrypt(user.password)) return { status: 'skipped', reason: 'password is not a bcrypt hash' };
+
+  const { data: existing } = await supabase.auth.admin.getUserById(user.id);
+
+  if (existing?.user) {
+    if (!OVERWRITE_EXISTING) return { status: 'skipped', reason: 'Auth login already exists (use --overwrite-existing to replace its password)' };
+
+    // Auth login already exists (e.g. created by /users/add): the app password becomes the password
+    if (DRY_RUN) return { status: 'would_update' };
+
+    const { error } = await supabase.auth.admin.updateUserById(user.id, { password_hash: user.password });
+    if (error) return { status: 'failed', reason: error.message };
+  } else {
+    if (!user.email) return { status: 'failed', reason: 'no email on profile' };
+    if (DRY_RUN) return { status: 'would_create' };
+
+    // Same id as the profile so every foreign key keeps working
+    const { error } = await supabase.auth.admin.createUser({
+      id: user.id,
+      email: user.email,
+      password_hash: user.password,
+      email_confirm: true
+    });
+    if (error) return { status: 'failed', reason: error.message };
+  }
+
+  const { error: clearError } = await supabase
+    .from('users')
+    .update({ password: null, updated_at: new Date() })
+    .eq('id', user.id);
+
+  if (clearError) return { status: 'failed', reason: `migrated but could not clear users.password: ${clearError.message}` };
+
+  return { status: existing?.user ? 'updated' : 'created' };
+};
+
+const run = async () => {
+  console.log(`🔐 Migrating credentials to Supabase Auth${DRY_RUN ? ' (dry run)' : ''}${OVERWRITE_EXISTING ? ' (overwriting existing Auth passwords)' : ''}...`);
+
+  const totals = {};
+  const failures = [];
+  let lastId = null;
+
+  // Page by id; migrated rows drop out of the "password is not null" filter
+  while (true) {
+    let q = supabase
+      .from('users')
+      .select('id, username, email, password')
+      .not('password', 'is', null)
+      .order('id', { ascending: true })
+      .limit(PAGE_SIZE);
+
+    if (lastId) q = q.gt('id', lastId);
+
+    const { data: users, error } = await q;
+    if (error) throw error;
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      const result = await migrateUser(user);
+      totals[result.status] = (totals[result.status] || 0) + 1;
+      if (result.status === 'failed' || result.status === 'skipped') {
+        failures.push({ id: user.id, username: user.username, ...result });
+      }
+    }
+
+    lastId = users[users.length - 1].id;
+  }
+
+  console.log("📊 Result:", totals);
+  failures.forEach(f => console.log(`❌ ${f.username} (${f.id}): ${f.status} - ${f.reason}`));
+
+  process.exit(failures.some(f => f.status === 'failed') ? 1 : 0);
+};
+
+run().catch(err => {
+  console.error("💥 Migration aborted:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+// Who may see a patient's clinical and billing data
+const supabase = require('../supabase');
+
+// A dentist may access a patient once they have treated or booked them
+const dentistTreatsPatient = async (dentistId, patientId) => {
+  const [{ data: records }, { data: appointments }] = await Promise.all([
+    supabase.from('dental_records').select('id').eq('dentist_id', dentistId).eq('patient_id', patientId).limit(1),
+    supabase.from('appointments').select('id').eq('dentist_id', dentistId).eq('patient_id', patientId).limit(1)
+  ]);
+  return (records?.length || 0) + (appointments?.length || 0) > 0;
+};
+
+// Admins: everyone; patients: themselves; dentists: patients they treat
+const canAccessPatient = async (user, patientId) => {
+  if (user.usertype === 'admin') return true;
+  if (user.usertype === 'patient') return patientId === user.id;
+  if (user.usertype === 'dentist') return dentistTreatsPatient(user.id, patientId);
+  return false;
+};
+
+// A dental record (and its 3D models): dentists also see the ones they wrote
+const canAccessRecord = async (user, record) => {
+  if (user.usertype === 'dentist' && record.dentist_id === user.id) return true;
+  return canAccessPatient(user, record.patient_id);
+};
+
+module.exports = { dentistTreatsPatient, canAccessPatient, canAccessRecord };
@@ -0,0 +1,38 @@
+// Account lifecycle for self-registered users:
+//   patient: pending_verification → (email verified) → active
+//   dentist: pending_verification → (email verified) → pending_approval → active | rejected
+// Rows created before statuses existed have status null and count as active.
+const supabase = require('../supabase');
+
+const ACCOUNT_STATUS = {
+  PENDING_VERIFICATION: 'pending_verification',
+  PENDING_APPROVAL: 'pending_approval',
+  ACTIVE: 'active',
+  REJECTED: 'rejected'
+};
+
+const STATUS_MESSAGES = {
+  pending_verification: 'Please verify your email address before logging in.',
+  pending_approval: 'Your account is waiting for admin approval.',
+  rejected: 'Your registration was not approved.'
+};
+
+// Move a pending_verification account on once Supabase Auth has the email confirmed.
+// `user` needs id, usertype, status and email_confirmed_at; returns the current status.
+const syncVerification = async (user) => {
+  const status = user.status || ACCOUNT_STATUS.ACTIVE;
+  if (status !== ACCOUNT_STATUS.PENDING_VERIFICATION || !user.email_confirmed_at) return status;
+
+  const next = user.usertype === 'dentist' ? ACCOUNT_STATUS.PENDING_APPROVAL : ACCOUNT_STATUS.ACTIVE;
+
+  const { error } = await supabase
+    .from('users')
+    .update({ status: next, email_verified_at: user.email_confirmed_at, updated_at: new Date() })
+    .eq('id', user.id)
+    .eq('status', ACCOUNT_STATUS.PENDING_VERIFICATION);
+
+  if (error) throw error;
+  return next;
+};
+
+module.exports = { ACCOUNT_STATUS, STATUS_MESSAGES, syncVerification };
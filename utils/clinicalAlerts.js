@@ -0,0 +1,172 @@
+// Structured allergies / conditions and the treatment alerts they raise.
+// A service lists contraindications ({ kind: 'allergy' | 'condition', code });
+// booking or recording it for a patient with a matching entry yields an alert
+// that staff must acknowledge (stored in alert_acknowledgements).
+const supabase = require('../supabase');
+
+const ALLERGY_CODES = {
+  latex: 'Latex',
+  local_anesthetic: 'Local anesthetics',
+  lidocaine: 'Lidocaine',
+  articaine: 'Articaine',
+  mepivacaine: 'Mepivacaine',
+  benzocaine: 'Benzocaine',
+  epinephrine: 'Epinephrine / sulfites',
+  penicillin: 'Penicillins',
+  amoxicillin: 'Amoxicillin',
+  cephalosporin: 'Cephalosporins',
+  clindamycin: 'Clindamycin',
+  nsaid: 'NSAIDs',
+  aspirin: 'Aspirin',
+  ibuprofen: 'Ibuprofen',
+  codeine: 'Codeine / opioids',
+  chlorhexidine: 'Chlorhexidine',
+  iodine: 'Iodine',
+  nickel: 'Nickel',
+  methacrylate: 'Acrylic (methacrylate)',
+  other: 'Other'
+};
+
+// A class code also covers its members, in both directions
+// (service contraindicates "local_anesthetic" → alert on a lidocaine allergy, and vice versa)
+const ALLERGY_GROUPS = {
+  local_anesthetic: ['lidocaine', 'articaine', 'mepivacaine', 'benzocaine'],
+  penicillin: ['amoxicillin'],
+  nsaid: ['aspirin', 'ibuprofen']
+};
+
+const CONDITION_CODES = {
+  diabetes: 'Diabetes',
+  hypertension: 'Hypertension',
+  heart_disease: 'Heart disease',
+  endocarditis_risk: 'Infective endocarditis risk',
+  bleeding_disorder: 'Bleeding disorder',
+  anticoagulant_therapy: 'Anticoagulant therapy',
+  bisphosphonate_therapy: 'Bisphosphonate therapy',
+  pregnancy: 'Pregnancy',
+  asthma: 'Asthma',
+  epilepsy: 'Epilepsy',
+  hepatitis: 'Hepatitis',
+  hiv: 'HIV',
+  kidney_disease: 'Kidney disease',
+  immunosuppression: 'Immunosuppression',
+  prosthetic_joint: 'Prosthetic joint',
+  other: 'Other'
+};
+
+const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe', 'life_threatening'];
+const CONDITION_STATUSES = ['active', 'controlled', 'resolved'];
+
+const allergyMatches = (contraCode, allergyCode) =>
+  contraCode === allergyCode ||
+  (ALLERGY_GROUPS[contraCode] || []).includes(allergyCode) ||
+  (ALLERGY_GROUPS[allergyCode] || []).includes(contraCode);
+
+const check = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+// Alerts for giving these services to the patient
+// Alert ids are stable ("allergy:<entry id>:service:<service id>") so clients can echo them back
+const findAlerts = async (patientId, serviceIds) => {
+  const ids = [...new Set((serviceIds || []).map(Number).filter(Boolean))];
+  if (!patientId || ids.length === 0) return [];
+
+  const contraindications = check(await supabase
+    .from('service_contraindications')
+    .select('service_id, kind, code, note, services(id, name)')
+    .in('service_id', ids));
+
+  if (contraindications.length === 0) return [];
+
+  const [allergies, conditions] = await Promise.all([
+    supabase.from('patient_allergies').select('*').eq('patient_id', patientId).eq('is_deleted', false).then(check),
+    supabase.from('patient_conditions').select('*').eq('patient_id', patientId).eq('is_deleted', false)
+      .neq('status', 'resolved').then(check)
+  ]);
+
+  const alerts = [];
+
+  contraindications.forEach(c => {
+    const service = { id: c.service_id, name: c.services?.name || null };
+
+    if (c.kind === 'allergy') {
+      allergies.filter(a => allergyMatches(c.code, a.code)).forEach(a => alerts.push({
+        id: `allergy:${a.id}:service:${c.service_id}`,
+        type: 'allergy',
+        code: a.code,
+        name: a.name || ALLERGY_CODES[a.code] || a.code,
+        severity: a.severity,
+        reaction: a.reaction,
+        service,
+        contraindication: { code: c.code, note: c.note }
+      }));
+    } else {
+      conditions.filter(cond => cond.code === c.code).forEach(cond => alerts.push({
+        id: `condition:${cond.id}:service:${c.service_id}`,
+        type: 'condition',
+        code: cond.code,
+        name: cond.name || CONDITION_CODES[cond.code] || cond.code,
+        status: cond.status,
+        onset_date: cond.onset_date,
+        service,
+        contraindication: { code: c.code, note: c.note }
+      }));
+    }
+  });
+
+  // Same entry can match several contraindications of one service
+  return [...new Map(alerts.map(a => [a.id, a])).values()];
+};
+
+// Alerts not covered by `acknowledged` (ids from the request) or by earlier
+// acknowledgements on the same appointment
+const unacknowledgedAlerts = async (alerts, acknowledged, { appointmentId } = {}) => {
+  if (alerts.length === 0) return [];
+
+  const done = new Set(Array.isArray(acknowledged) ? acknowledged.map(String) : []);
+
+  if (appointmentId) {
+    const rows = check(await supabase
+      .from('alert_acknowledgements')
+      .select('alert_id')
+      .eq('appointment_id', appointmentId));
+    rows.forEach(r => done.add(r.alert_id));
+  }
+
+  return alerts.filter(a => !done.has(a.id));
+};
+
+const recordAcknowledgements = async (alerts, { patientId, userId, appointmentId = null, recordId = null }) => {
+  if (alerts.length === 0) return;
+
+  check(await supabase.from('alert_acknowledgements').insert(alerts.map(a => ({
+    alert_id: a.id,
+    patient_id: patientId,
+    service_id: a.service.id,
+    alert: a,
+    appointment_id: appointmentId,
+    record_id: recordId,
+    acknowledged_by: userId
+  }))));
+};
+
+// 409 body when a caller has to acknowledge first
+const alertsRequiredResponse = (alerts) => ({
+  message: 'Patient has allergy/condition alerts for this treatment, acknowledge them to continue',
+  alerts,
+  hint: 'Resend with acknowledged_alerts: [alert ids]'
+});
+
+module.exports = {
+  ALLERGY_CODES,
+  ALLERGY_GROUPS,
+  CONDITION_CODES,
+  ALLERGY_SEVERITIES,
+  CONDITION_STATUSES,
+  findAlerts,
+  unacknowledgedAlerts,
+  recordAcknowledgements,
+  alertsRequiredResponse
+};
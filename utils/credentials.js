@@ -0,0 +1,94 @@
+// Single credential store: passwords live in Supabase Auth only (users.password is legacy)
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const supabase = require('../supabase');
+
+// Sign-in/sign-up calls run on a throwaway client so a user session never
+// replaces the service role on the shared client
+const isolatedAuthClient = () => createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+});
+
+const verifyPassword = async (email, password) => {
+  const { error } = await isolatedAuthClient().auth.signInWithPassword({ email, password });
+  return !error;
+};
+
+// Self-registration: Supabase Auth sends the confirmation email (link goes to VERIFY_EMAIL_URL)
+// Returns { userId } or { error }
+const signUpWithEmail = async (email, password) => {
+  const { data, error } = await isolatedAuthClient().auth.signUp({
+    email,
+    password,
+    options: { emailRedirectTo: process.env.VERIFY_EMAIL_URL }
+  });
+
+  if (error) return { error: error.message };
+
+  // Supabase answers an already-registered email with a user that has no identities
+  if (!data.user || data.user.identities?.length === 0) return { error: 'Email already registered' };
+
+  return { userId: data.user.id };
+};
+
+const resendVerificationEmail = async (email) => {
+  const { error } = await isolatedAuthClient().auth.resend({
+    type: 'signup',
+    email,
+    options: { emailRedirectTo: process.env.VERIFY_EMAIL_URL }
+  });
+  return !error;
+};
+
+// Supabase Auth user for a profile id
+const getAuthUser = async (userId) => {
+  const { data, error } = await supabase.auth.admin.getUserById(userId);
+  if (error || !data?.user) return null;
+  return data.user;
+};
+
+// Auth email for a profile id
+const getAuthEmail = async (userId) => (await getAuthUser(userId))?.email || null;
+
+// Same Auth lookup + sign-in an existing user costs, so response time doesn't reveal
+// which usernames exist
+const DECOY_EMAIL = 'no-such-user@invalid.invalid';
+const decoyCheck = async (password) => {
+  await getAuthUser(crypto.randomUUID());
+  await verifyPassword(DECOY_EMAIL, password);
+};
+
+// Shared login path for the website and the app
+// Returns { user } or { error: 'not_found' | 'invalid_password' }
+const authenticateCredentials = async (username, password) => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('username', username)
+    .eq('is_deleted', false)
+    .maybeSingle();
+
+  if (error || !user) {
+    await decoyCheck(password);
+    return { error: 'not_found' };
+  }
+
+  const authUser = await getAuthUser(user.id);
+  if (!authUser?.email) {
+    await verifyPassword(DECOY_EMAIL, password);
+    return { error: 'not_found' };
+  }
+
+  if (!(await verifyPassword(authUser.email, password))) return { error: 'invalid_password' };
+
+  return { user: { ...user, email: authUser.email, email_confirmed_at: authUser.email_confirmed_at || null } };
+};
+
+module.exports = {
+  verifyPassword,
+  signUpWithEmail,
+  resendVerificationEmail,
+  getAuthUser,
+  getAuthEmail,
+  authenticateCredentials
+};
@@ -0,0 +1,85 @@
+// CSV helpers shared by the export and import endpoints
+
+// Quote a value when needed; neutralize spreadsheet formulas (=, +, -, @)
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, header }] — key may also be a function(row)
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(c => escapeCell(c.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns
+      .map(c => escapeCell(typeof c.key === 'function' ? c.key(row) : row[c.key]))
+      .join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Undo escapeCell's formula guard so exported files import unchanged
+const unescapeCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// RFC 4180 parser (quoted fields may span lines). Returns [{ line, cells }]
+// where line is the 1-based line the record starts on; blank lines are skipped.
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endCell = () => {
+    cells.push(unescapeCell(cell));
+    cell = '';
+  };
+
+  const endRecord = () => {
+    endCell();
+    if (cells.some(c => c.trim() !== '')) records.push({ line: startLine, cells });
+    cells = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unclosed quote in record starting on line ${startLine}`);
+  if (cell !== '' || cells.length > 0) endRecord();
+
+  return records;
+};
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,261 @@
+// glTF 2.0 / GLB checks for uploaded dental models, plus the metadata the viewer uses.
+// Throws ModelError (→ 400) with a message that says what is wrong with the file.
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const COMPONENT_SIZES = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 };
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+class ModelError extends Error {}
+
+const isGlb = (buffer) => buffer.length >= 12 && buffer.readUInt32LE(0) === GLB_MAGIC;
+
+const parseJson = (text, where) => {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new ModelError(`${where} is not valid JSON: ${err.message}`);
+  }
+};
+
+// GLB container → { json, bin }
+const parseGlb = (buffer) => {
+  const version = buffer.readUInt32LE(4);
+  const length = buffer.readUInt32LE(8);
+
+  if (version !== 2) throw new ModelError(`Unsupported GLB version ${version}, expected 2`);
+  if (length !== buffer.length) throw new ModelError(`GLB header says ${length} bytes but file has ${buffer.length}`);
+
+  let offset = 12;
+  let json = null;
+  let bin = null;
+
+  while (offset < buffer.length) {
+    if (offset + 8 > buffer.length) throw new ModelError('GLB chunk header is truncated');
+
+    const chunkLength = buffer.readUInt32LE(offset);
+    const chunkType = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    const end = start + chunkLength;
+
+    if (end > buffer.length) throw new ModelError('GLB chunk runs past the end of the file');
+
+    if (chunkType === CHUNK_JSON && json === null) {
+      json = parseJson(buffer.subarray(start, end).toString('utf8'), 'GLB JSON chunk');
+    } else if (chunkType === CHUNK_BIN && bin === null && json !== null) {
+      bin = buffer.subarray(start, end);
+    }
+
+    offset = end;
+  }
+
+  if (json === null) throw new ModelError('GLB has no JSON chunk');
+  return { json, bin };
+};
+
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+const isOptionalIndex = (value) => value === undefined || isIndex(value);
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Top-level array of objects (json.buffers, json.meshes...), [] when absent
+const list = (json, key) => {
+  const value = json[key];
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || !value.every(isObject)) {
+    throw new ModelError(`${key} must be an array of objects`);
+  }
+  return value;
+};
+
+// Basename of a buffer/image uri, decoded ("models/jaw%20scan.bin" → "jaw scan.bin")
+const uriName = (uri) => {
+  try {
+    return decodeURIComponent(uri.split(/[?#]/)[0]).split('/').pop();
+  } catch {
+    return uri;
+  }
+};
+
+const dataUriLength = (uri) => {
+  const match = /^data:[^;,]*;base64,(.*)$/.exec(uri);
+  if (!match) throw new ModelError('Only base64 data: URIs are supported');
+  return Buffer.from(match[1], 'base64').length;
+};
+
+// Check structure and that buffers line up with the uploaded bytes
+// { json, glbBin?, bin?, binName? } → throws ModelError
+const validateGltf = ({ json, glbBin = null, bin = null, binName = null }) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) throw new ModelError('glTF must be a JSON object');
+  if (!json.asset || !String(json.asset.version || '').startsWith('2.')) {
+    throw new ModelError('Only glTF 2.x is supported (asset.version missing or wrong)');
+  }
+
+  const buffers = list(json, 'buffers');
+  const bufferSizes = [];
+  let binReferenced = false;
+
+  buffers.forEach((buffer, i) => {
+    if (!isIndex(buffer.byteLength)) throw new ModelError(`buffers[${i}].byteLength is missing or invalid`);
+    if (buffer.uri !== undefined && typeof buffer.uri !== 'string') throw new ModelError(`buffers[${i}].uri must be a string`);
+
+    if (buffer.uri === undefined) {
+      // GLB-stored buffer: only the first one, padded to 4 bytes at most
+      if (i !== 0 || !glbBin) throw new ModelError(`buffers[${i}] has no uri and there is no GLB binary chunk`);
+      if (glbBin.length < buffer.byteLength || glbBin.length - buffer.byteLength > 3) {
+        throw new ModelError(`buffers[${i}].byteLength is ${buffer.byteLength} but the GLB binary chunk has ${glbBin.length} bytes`);
+      }
+    } else if (buffer.uri.startsWith('data:')) {
+      const size = dataUriLength(buffer.uri);
+      if (size !== buffer.byteLength) {
+        throw new ModelError(`buffers[${i}] embeds ${size} bytes but byteLength is ${buffer.byteLength}`);
+      }
+    } else {
+      if (!bin) throw new ModelError(`buffers[${i}] points to "${buffer.uri}" but no bin file was uploaded`);
+      if (binReferenced) throw new ModelError('Only one external .bin buffer is supported');
+      if (binName && uriName(buffer.uri) !== binName) {
+        throw new ModelError(`buffers[${i}] points to "${uriName(buffer.uri)}" but the uploaded bin is "${binName}"`);
+      }
+      if (bin.length !== buffer.byteLength) {
+        throw new ModelError(`buffers[${i}].byteLength is ${buffer.byteLength} but the uploaded bin has ${bin.length} bytes`);
+      }
+      binReferenced = true;
+    }
+
+    bufferSizes.push(buffer.byteLength);
+  });
+
+  if (bin && !binReferenced) throw new ModelError('Uploaded bin file is not referenced by any buffer');
+
+  list(json, 'images').forEach((image, i) => {
+    if (image.uri !== undefined && typeof image.uri !== 'string') throw new ModelError(`images[${i}].uri must be a string`);
+    if (image.uri && !image.uri.startsWith('data:')) {
+      throw new ModelError(`images[${i}] points to external file "${image.uri}", embed textures or upload a .glb`);
+    }
+  });
+
+  const views = list(json, 'bufferViews');
+  views.forEach((view, i) => {
+    if (!isIndex(view.buffer) || !Number.isInteger(view.byteLength) || view.byteLength < 1
+      || !isOptionalIndex(view.byteOffset) || !isOptionalIndex(view.byteStride)) {
+      throw new ModelError(`bufferViews[${i}] needs integer buffer, byteLength and optional byteOffset/byteStride`);
+    }
+
+    const size = bufferSizes[view.buffer];
+    if (size === undefined) throw new ModelError(`bufferViews[${i}] uses missing buffer ${view.buffer}`);
+    if ((view.byteOffset || 0) + view.byteLength > size) {
+      throw new ModelError(`bufferViews[${i}] runs past the end of buffer ${view.buffer}`);
+    }
+  });
+
+  list(json, 'accessors').forEach((accessor, i) => {
+    if (!Number.isInteger(accessor.count) || accessor.count < 0) throw new ModelError(`accessors[${i}].count is invalid`);
+    if (!COMPONENT_SIZES[accessor.componentType] || !TYPE_SIZES[accessor.type]) {
+      throw new ModelError(`accessors[${i}] has an unknown componentType/type`);
+    }
+    if (!isOptionalIndex(accessor.bufferView) || !isOptionalIndex(accessor.byteOffset)) {
+      throw new ModelError(`accessors[${i}].bufferView/byteOffset must be integers`);
+    }
+    ['min', 'max'].forEach(bound => {
+      const values = accessor[bound];
+      if (values !== undefined && (!Array.isArray(values) || !values.every(Number.isFinite))) {
+        throw new ModelError(`accessors[${i}].${bound} must be an array of numbers`);
+      }
+    });
+    if (accessor.bufferView === undefined) return; // sparse / zero-filled
+
+    const view = views[accessor.bufferView];
+    if (!view) throw new ModelError(`accessors[${i}] uses missing bufferView ${accessor.bufferView}`);
+
+    const elementSize = COMPONENT_SIZES[accessor.componentType] * TYPE_SIZES[accessor.type];
+    const stride = view.byteStride || elementSize;
+    const needed = accessor.count === 0 ? 0 : (accessor.byteOffset || 0) + stride * (accessor.count - 1) + elementSize;
+    if (needed > view.byteLength) throw new ModelError(`accessors[${i}] reads past the end of bufferView ${accessor.bufferView}`);
+  });
+
+  list(json, 'meshes').forEach((mesh, m) => {
+    if (!Array.isArray(mesh.primitives)) throw new ModelError(`meshes[${m}].primitives must be an array`);
+    mesh.primitives.forEach((primitive, p) => {
+      if (!isObject(primitive) || !isObject(primitive.attributes)) {
+        throw new ModelError(`meshes[${m}].primitives[${p}] must be an object with attributes`);
+      }
+      if (!isOptionalIndex(primitive.attributes.POSITION) || !isOptionalIndex(primitive.indices)) {
+        throw new ModelError(`meshes[${m}].primitives[${p}] accessor references must be integers`);
+      }
+      if (primitive.mode !== undefined && !(Number.isInteger(primitive.mode) && primitive.mode >= 0 && primitive.mode <= 6)) {
+        throw new ModelError(`meshes[${m}].primitives[${p}].mode must be 0-6`);
+      }
+
+      const position = primitive.attributes.POSITION;
+      if (position !== undefined && !json.accessors?.[position]) {
+        throw new ModelError(`meshes[${m}].primitives[${p}] POSITION uses missing accessor ${position}`);
+      }
+      if (primitive.indices !== undefined && !json.accessors?.[primitive.indices]) {
+        throw new ModelError(`meshes[${m}].primitives[${p}] indices use missing accessor ${primitive.indices}`);
+      }
+    });
+  });
+};
+
+// Counts and bounding box (from POSITION min/max, in mesh space; node transforms ignored)
+const extractMetadata = (json) => {
+  let primitives = 0;
+  let vertices = 0;
+  let triangles = 0;
+  let min = null;
+  let max = null;
+
+  list(json, 'meshes').forEach(mesh => {
+    (mesh.primitives || []).forEach(primitive => {
+      primitives++;
+
+      const position = json.accessors?.[primitive.attributes?.POSITION];
+      if (!position) return;
+
+      vertices += position.count;
+
+      const mode = primitive.mode ?? 4;
+      const indexCount = primitive.indices !== undefined ? json.accessors[primitive.indices].count : position.count;
+      if (mode === 4) triangles += Math.floor(indexCount / 3);
+      if (mode === 5 || mode === 6) triangles += Math.max(0, indexCount - 2);
+
+      if (Array.isArray(position.min) && Array.isArray(position.max)) {
+        min = min ? min.map((v, i) => Math.min(v, position.min[i])) : [...position.min];
+        max = max ? max.map((v, i) => Math.max(v, position.max[i])) : [...position.max];
+      }
+    });
+  });
+
+  return {
+    generator: json.asset?.generator || null,
+    version: json.asset?.version || null,
+    meshes: list(json, 'meshes').length,
+    primitives,
+    vertices,
+    triangles,
+    nodes: list(json, 'nodes').length,
+    materials: list(json, 'materials').length,
+    textures: list(json, 'textures').length,
+    bounding_box: min && max
+      ? { min, max, size: max.map((v, i) => v - min[i]) }
+      : null
+  };
+};
+
+// Entry point for an upload: a .glb alone, or .gltf JSON + optional .bin
+// Returns { format: 'glb' | 'gltf', metadata }
+const inspectModel = ({ model, bin = null, binName = null }) => {
+  if (isGlb(model)) {
+    if (bin) throw new ModelError('A .glb already contains its binary data, do not upload a separate bin');
+    const { json, bin: glbBin } = parseGlb(model);
+    validateGltf({ json, glbBin });
+    return { format: 'glb', metadata: extractMetadata(json) };
+  }
+
+  const json = parseJson(model.toString('utf8').replace(/^\uFEFF/, ''), 'glTF file');
+  validateGltf({ json, bin, binName });
+  return { format: 'gltf', metadata: extractMetadata(json) };
+};
+
+module.exports = { ModelError, isGlb, parseGlb, validateGltf, extractMetadata, inspectModel };
@@ -0,0 +1,128 @@
+// Login brute-force protection: per-account and per-IP failure tracking with
+// progressive delays and temporary lockout. Storage is pluggable (memory or Supabase).
+// Per-IP tracking is opt-in (LOGIN_IP_THROTTLE=true): without TRUST_PROXY set correctly
+// every client behind a proxy shares one req.ip and would lock each other out.
+const supabase = require('../supabase');
+
+const DEFAULT_POLICY = {
+  account: { maxFailures: 5, lockMs: 15 * 60 * 1000 },
+  ip: { maxFailures: 20, lockMs: 15 * 60 * 1000 },
+  windowMs: 15 * 60 * 1000, // failures older than this are forgotten
+  delayAfter: 3, // failures before delays start
+  maxDelayMs: 30 * 1000
+};
+
+// In-memory store (tests, single instance dev)
+const createMemoryStore = () => {
+  const records = new Map();
+  return {
+    get: async (key) => records.get(key) || null,
+    set: async (key, record) => { records.set(key, record); },
+    delete: async (key) => { records.delete(key); }
+  };
+};
+
+// Supabase store (login_attempts table), shared between instances
+const createSupabaseStore = (client = supabase) => ({
+  get: async (key) => {
+    const { data, error } = await client.from('login_attempts').select('*').eq('key', key).maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+  set: async (key, record) => {
+    const { error } = await client.from('login_attempts').upsert({ key, ...record }, { onConflict: 'key' });
+    if (error) throw error;
+  },
+  delete: async (key) => {
+    const { error } = await client.from('login_attempts').delete().eq('key', key);
+    if (error) throw error;
+  }
+});
+
+const accountKey = (username) => `account:${String(username).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const createLoginThrottle = ({ store = createMemoryStore(), policy = DEFAULT_POLICY, trackIp = false, now = Date.now } = {}) => {
+  const limitsFor = (key) => (key.startsWith('ip:') ? policy.ip : policy.account);
+
+  const activeRecord = async (key) => {
+    const record = await store.get(key);
+    if (!record) return null;
+
+    const lastFailed = new Date(record.last_failed_at).getTime();
+    const locked = record.locked_until && new Date(record.locked_until).getTime() > now();
+    if (!locked && now() - lastFailed > policy.windowMs) return null;
+
+    return record;
+  };
+
+  // Time the caller must still wait before the next attempt (0 = go ahead)
+  const waitMs = (record) => {
+    if (!record) return 0;
+
+    if (record.locked_until) {
+      const left = new Date(record.locked_until).getTime() - now();
+      if (left > 0) return left;
+    }
+
+    if (record.failures < policy.delayAfter) return 0;
+
+    const delay = Math.min(1000 * 2 ** (record.failures - policy.delayAfter), policy.maxDelayMs);
+    return Math.max(0, new Date(record.last_failed_at).getTime() + delay - now());
+  };
+
+  const ipOf = (keys) => keys.find(k => k.startsWith('ip:'))?.slice(3) || null;
+
+  return {
+    keys: (req, username) => (trackIp ? [accountKey(username), ipKey(req.ip)] : [accountKey(username)]),
+
+    // { allowed, retryAfterSeconds }
+    check: async (keys) => {
+      let wait = 0;
+      for (const key of keys) wait = Math.max(wait, waitMs(await activeRecord(key)));
+      return { allowed: wait === 0, retryAfterSeconds: Math.ceil(wait / 1000) };
+    },
+
+    recordFailure: async (keys) => {
+      for (const key of keys) {
+        const record = await activeRecord(key);
+        const failures = (record?.failures || 0) + 1;
+        const { maxFailures, lockMs } = limitsFor(key);
+        const stamp = new Date(now()).toISOString();
+
+        await store.set(key, {
+          failures,
+          first_failed_at: record?.first_failed_at || stamp,
+          last_failed_at: stamp,
+          locked_until: failures >= maxFailures ? new Date(now() + lockMs).toISOString() : (record?.locked_until || null),
+          last_ip: key.startsWith('account:') ? ipOf(keys) : null // lets an admin unlock clear that IP too
+        });
+      }
+    },
+
+    // Only the account is cleared; an IP spraying many accounts stays throttled
+    recordSuccess: async (keys) => {
+      for (const key of keys.filter(k => k.startsWith('account:'))) await store.delete(key);
+    },
+
+    // Clears the account and the IP its last failure came from
+    unlock: async (username) => {
+      const record = await store.get(accountKey(username));
+      await store.delete(accountKey(username));
+      if (record?.last_ip) await store.delete(ipKey(record.last_ip));
+    }
+  };
+};
+
+const loginThrottle = createLoginThrottle({
+  store: process.env.LOGIN_ATTEMPT_STORE === 'memory' ? createMemoryStore() : createSupabaseStore(),
+  trackIp: process.env.LOGIN_IP_THROTTLE === 'true'
+});
+
+module.exports = {
+  DEFAULT_POLICY,
+  createMemoryStore,
+  createSupabaseStore,
+  createLoginThrottle,
+  loginThrottle
+};
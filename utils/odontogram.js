@@ -0,0 +1,125 @@
+// Tooth numbering and chart rules for the odontogram.
+// Teeth are stored in FDI notation (11-48 permanent, 51-85 primary);
+// Universal (1-32 permanent, A-T primary) is converted at the edges.
+
+const SURFACES = {
+  M: 'Mesial',
+  D: 'Distal',
+  O: 'Occlusal',
+  I: 'Incisal',
+  B: 'Buccal/Facial',
+  L: 'Lingual/Palatal'
+};
+
+// surfaces: true → needs surfaces, false → whole tooth, 'optional' → either
+// supersedes: conditions this one replaces on the surfaces it covers (or the whole tooth)
+const CONDITIONS = {
+  caries: { label: 'Caries', surfaces: true, supersedes: [] },
+  filling: { label: 'Filling', surfaces: true, supersedes: ['caries', 'filling', 'sealant', 'fracture'] },
+  sealant: { label: 'Sealant', surfaces: true, supersedes: ['sealant'] },
+  fracture: { label: 'Fracture', surfaces: 'optional', supersedes: [] },
+  veneer: { label: 'Veneer', surfaces: 'optional', supersedes: ['veneer'] },
+  crown: { label: 'Crown', surfaces: false, supersedes: ['caries', 'filling', 'sealant', 'fracture', 'veneer', 'crown'] },
+  root_canal: { label: 'Root canal treatment', surfaces: false, supersedes: [] },
+  bridge_pontic: { label: 'Bridge pontic', surfaces: false, supersedes: ['missing'] },
+  extraction_planned: { label: 'Extraction planned', surfaces: false, supersedes: [] },
+  impacted: { label: 'Impacted', surfaces: false, supersedes: [] },
+  missing: {
+    label: 'Missing',
+    surfaces: false,
+    supersedes: ['caries', 'filling', 'sealant', 'fracture', 'veneer', 'crown', 'root_canal', 'extraction_planned', 'impacted']
+  },
+  implant: { label: 'Implant', surfaces: false, supersedes: ['missing', 'extraction_planned'] }
+};
+
+const isFdi = (n) => {
+  const quadrant = Math.floor(n / 10);
+  const position = n % 10;
+  if (quadrant >= 1 && quadrant <= 4) return position >= 1 && position <= 8;
+  if (quadrant >= 5 && quadrant <= 8) return position >= 1 && position <= 5;
+  return false;
+};
+
+// Universal 1-16 upper right→left, 17-32 lower left→right; A-J upper, K-T lower
+const universalToFdi = (value) => {
+  const text = String(value).trim().toUpperCase();
+
+  if (/^\d+$/.test(text)) {
+    const n = Number(text);
+    if (n < 1 || n > 32) return null;
+    if (n <= 8) return 10 + (9 - n);
+    if (n <= 16) return 20 + (n - 8);
+    if (n <= 24) return 30 + (25 - n);
+    return 40 + (n - 24);
+  }
+
+  if (/^[A-T]$/.test(text)) {
+    const n = text.charCodeAt(0) - 64; // A = 1
+    if (n <= 5) return 50 + (6 - n);
+    if (n <= 10) return 60 + (n - 5);
+    if (n <= 15) return 70 + (16 - n);
+    return 80 + (n - 15);
+  }
+
+  return null;
+};
+
+const fdiToUniversal = (fdi) => {
+  const quadrant = Math.floor(fdi / 10);
+  const position = fdi % 10;
+
+  switch (quadrant) {
+    case 1: return String(9 - position);
+    case 2: return String(8 + position);
+    case 3: return String(25 - position);
+    case 4: return String(24 + position);
+    case 5: return String.fromCharCode(64 + 6 - position);
+    case 6: return String.fromCharCode(64 + 5 + position);
+    case 7: return String.fromCharCode(64 + 16 - position);
+    case 8: return String.fromCharCode(64 + 15 + position);
+    default: return null;
+  }
+};
+
+// FDI tooth number from user input, or null
+const parseTooth = (value, numbering = 'fdi') => {
+  if (numbering === 'universal') return universalToFdi(value);
+  const n = Number(value);
+  return Number.isInteger(n) && isFdi(n) ? n : null;
+};
+
+const normalizeSurfaces = (surfaces) =>
+  [...new Set((surfaces || []).map(s => String(s).trim().toUpperCase()))].sort();
+
+// Entries in effect at `date` (recorded by then, not yet ended), grouped by tooth
+const chartAsOf = (entries, date, numbering = 'fdi') => {
+  const at = new Date(date).getTime();
+  const teeth = new Map();
+
+  entries
+    .filter(e => new Date(e.recorded_at).getTime() <= at && (!e.ended_at || new Date(e.ended_at).getTime() > at))
+    .sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at) || a.id - b.id)
+    .forEach(e => {
+      if (!teeth.has(e.tooth)) {
+        teeth.set(e.tooth, {
+          tooth: e.tooth,
+          label: numbering === 'universal' ? fdiToUniversal(e.tooth) : String(e.tooth),
+          entries: []
+        });
+      }
+      teeth.get(e.tooth).entries.push(e);
+    });
+
+  return [...teeth.values()].sort((a, b) => a.tooth - b.tooth);
+};
+
+module.exports = {
+  SURFACES,
+  CONDITIONS,
+  isFdi,
+  universalToFdi,
+  fdiToUniversal,
+  parseTooth,
+  normalizeSurfaces,
+  chartAsOf
+};
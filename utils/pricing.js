@@ -0,0 +1,151 @@
+// Effective-dated service pricing. Every change to a service's price or installment
+// terms is a row in service_price_versions; services keeps the terms in effect now.
+// Scheduled (future) versions start with applied = false and are copied onto the
+// service by the price scheduler once their effective_from has passed.
+const supabase = require('../supabase');
+
+const PRICE_FIELDS = ['price', 'allow_installment', 'installment_times', 'installment_interval', 'custom_interval_days'];
+const CLINIC_UTC_OFFSET = process.env.CLINIC_UTC_OFFSET || 'Z';
+
+const pickTerms = (row) => Object.fromEntries(PRICE_FIELDS.map(f => [f, row[f] ?? null]));
+
+const termsChanged = (a, b) => PRICE_FIELDS.some(f => String(a[f] ?? '') !== String(b[f] ?? ''));
+
+// "YYYY-MM-DD" means the whole clinic day; full timestamps are used as given
+const toInstant = (date) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T23:59:59.999${CLINIC_UTC_OFFSET}`) : new Date(date)
+);
+
+// Services created before versioning have no history: their current terms become a
+// baseline version from created_at, so past dates don't pick up the new price
+const ensureBaselineVersion = async (service) => {
+  const { count, error } = await supabase
+    .from('service_price_versions')
+    .select('id', { count: 'exact', head: true })
+    .eq('service_id', service.id);
+
+  if (error) throw error;
+  if (count > 0) return;
+
+  const { error: insertError } = await supabase
+    .from('service_price_versions')
+    .insert({
+      service_id: Number(service.id),
+      ...pickTerms(service),
+      effective_from: new Date(service.created_at || 0).toISOString(),
+      applied: true,
+      note: 'Terms before price history'
+    });
+
+  if (insertError) throw insertError;
+};
+
+// `previous` = the service row before this change (omit for a brand-new service)
+const recordPriceVersion = async ({ serviceId, terms, previous, effectiveFrom = new Date(), createdBy, note }) => {
+  if (previous) await ensureBaselineVersion(previous);
+
+  const applied = new Date(effectiveFrom) <= new Date();
+
+  const { data, error } = await supabase
+    .from('service_price_versions')
+    .insert({
+      service_id: Number(serviceId),
+      ...pickTerms(terms),
+      effective_from: new Date(effectiveFrom).toISOString(),
+      applied,
+      note: note || null,
+      created_by: createdBy || null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Terms in effect at `date` for a service row; services without history yet
+// fall back to the row itself
+const getTermsOn = async (service, date = new Date()) => {
+  const { data: version, error } = await supabase
+    .from('service_price_versions')
+    .select('*')
+    .eq('service_id', service.id)
+    .lte('effective_from', new Date(date).toISOString())
+    .order('effective_from', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (version) return { ...pickTerms(version), effective_from: version.effective_from, version_id: version.id };
+
+  return { ...pickTerms(service), effective_from: null, version_id: null };
+};
+
+// Copy scheduled versions that are now due onto their services
+const applyDuePriceChanges = async () => {
+  try {
+    const { data: due, error } = await supabase
+      .from('service_price_versions')
+      .select('*')
+      .eq('applied', false)
+      .lte('effective_from', new Date().toISOString())
+      .order('effective_from', { ascending: true });
+
+    if (error) throw error;
+
+    for (const version of due) {
+      // Claim it first so two instances don't both apply it
+      const { data: claimed } = await supabase
+        .from('service_price_versions')
+        .update({ applied: true })
+        .eq('id', version.id)
+        .eq('applied', false)
+        .select('id')
+        .maybeSingle();
+
+      if (!claimed) continue;
+
+      const { error: svcError } = await supabase
+        .from('services')
+        .update(pickTerms(version))
+        .eq('id', version.service_id);
+
+      if (svcError) {
+        console.error(`💰 Could not apply price version ${version.id}:`, svcError.message);
+        await supabase.from('service_price_versions').update({ applied: false }).eq('id', version.id);
+      } else {
+        // Logged like any other change, so undoing an older services:UPDATE sees it
+        await supabase.from('activity_logs').insert({
+          admin_id: version.created_by || null,
+          action: 'apply_scheduled_price',
+          table_name: 'services',
+          record_id: String(version.service_id),
+          description: `Scheduled price ${version.price} took effect (version #${version.id})`
+        });
+        console.log(`💰 Applied scheduled price for service ${version.service_id}: ${version.price}`);
+      }
+    }
+  } catch (err) {
+    console.error("💰 Price scheduler error:", err.message);
+  }
+};
+
+const startPriceScheduler = (intervalMs = 60000) => {
+  applyDuePriceChanges();
+  const timer = setInterval(applyDuePriceChanges, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  PRICE_FIELDS,
+  pickTerms,
+  termsChanged,
+  toInstant,
+  ensureBaselineVersion,
+  recordPriceVersion,
+  getTermsOn,
+  applyDuePriceChanges,
+  startPriceScheduler
+};
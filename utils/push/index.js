@@ -0,0 +1,178 @@
+// Push delivery: queue messages in push_outbox, send them through a pluggable transport,
+// retry with backoff and drop fcm_tokens the provider reports as dead.
+const supabase = require('../../supabase');
+
+const MAX_BATCH = 500; // FCM multicast limit
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 30 * 1000;
+const CLAIM_LIMIT = 20;
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+const transports = {
+  fcm: require('./transports/fcm'),
+  console: require('./transports/console'),
+  file: require('./transports/file')
+};
+
+// Add or replace a transport: { send({ tokens, notification, data }) => { successCount, failures } }
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.PUSH_TRANSPORT
+    || (process.env.FIREBASE_SERVICE_ACCOUNT || process.env.GOOGLE_APPLICATION_CREDENTIALS ? 'fcm' : 'console');
+
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown push transport: ${name}`);
+  return transport;
+};
+
+const backoff = (attempts) => new Date(Date.now() + BASE_BACKOFF_MS * 2 ** (attempts - 1)).toISOString();
+
+// Clear tokens the provider says will never work again
+const removeDeadTokens = async (tokens) => {
+  if (tokens.length === 0) return;
+
+  const { error } = await supabase
+    .from('users')
+    .update({ fcm_token: null })
+    .in('fcm_token', tokens);
+
+  if (error) console.warn("⚠️ Could not remove dead fcm tokens:", error.message);
+  else console.log(`🧹 Removed ${tokens.length} dead fcm token(s)`);
+};
+
+// Send one claimed outbox row and record the outcome
+const deliver = async (row) => {
+  const attempts = row.attempts + 1;
+  let retryTokens = row.tokens;
+  let lastError = null;
+
+  try {
+    const { failures } = await getTransport().send({
+      tokens: row.tokens,
+      notification: row.notification,
+      data: row.data || undefined
+    });
+
+    await removeDeadTokens(failures.filter(f => f.permanent).map(f => f.token));
+
+    const transient = failures.filter(f => !f.permanent);
+    retryTokens = transient.map(f => f.token);
+    lastError = transient[0]?.error || null;
+  } catch (err) {
+    lastError = err.message;
+  }
+
+  let update;
+  if (retryTokens.length === 0) {
+    update = { status: 'sent', sent_at: new Date().toISOString() };
+  } else if (attempts >= MAX_ATTEMPTS) {
+    update = { status: 'failed' };
+  } else {
+    // Only the tokens that failed are retried
+    update = { status: 'pending', tokens: retryTokens, next_attempt_at: backoff(attempts) };
+  }
+
+  await supabase
+    .from('push_outbox')
+    .update({ ...update, attempts, last_error: lastError, updated_at: new Date().toISOString() })
+    .eq('id', row.id);
+};
+
+let processing = false;
+
+// Send every due outbox row; safe to call often
+const processOutbox = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    // Rows left "sending" by a crashed process go back in the queue
+    await supabase
+      .from('push_outbox')
+      .update({ status: 'pending' })
+      .eq('status', 'sending')
+      .lt('updated_at', new Date(Date.now() - STALE_SENDING_MS).toISOString());
+
+    const { data: due, error } = await supabase
+      .from('push_outbox')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(CLAIM_LIMIT);
+
+    if (error) throw error;
+
+    for (const row of due) {
+      // Claim the row so another instance doesn't send it too
+      const { data: claimed } = await supabase
+        .from('push_outbox')
+        .update({ status: 'sending', updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('status', 'pending')
+        .select();
+
+      if (claimed?.length) await deliver(claimed[0]);
+    }
+  } catch (err) {
+    console.warn("⚠️ Push outbox processing failed:", err.message);
+  } finally {
+    processing = false;
+  }
+};
+
+// Queue a push to specific device tokens
+const queuePush = async ({ tokens, notification, data }) => {
+  const unique = [...new Set((tokens || []).filter(Boolean))];
+  if (unique.length === 0) return [];
+
+  const rows = [];
+  for (let i = 0; i < unique.length; i += MAX_BATCH) {
+    rows.push({
+      tokens: unique.slice(i, i + MAX_BATCH),
+      notification,
+      data: data || null,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    });
+  }
+
+  const { data: queued, error } = await supabase.from('push_outbox').insert(rows).select('id');
+  if (error) throw error;
+
+  // Try right away; failures stay in the outbox for the worker
+  processOutbox();
+
+  return queued;
+};
+
+// Queue a push to every user with a registered device
+const queuePushToAll = async (message) => {
+  const { data: usersWithTokens, error } = await supabase
+    .from('users')
+    .select('fcm_token')
+    .not('fcm_token', 'is', null);
+
+  if (error) throw error;
+
+  return queuePush({ ...message, tokens: usersWithTokens.map(u => u.fcm_token) });
+};
+
+// Periodically retry pending outbox rows
+const startPushWorker = (intervalMs = 15000) => {
+  const timer = setInterval(processOutbox, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  registerTransport,
+  queuePush,
+  queuePushToAll,
+  processOutbox,
+  startPushWorker
+};
@@ -0,0 +1,8 @@
+// Development transport: prints pushes instead of sending them
+
+const send = async ({ tokens, notification, data }) => {
+  console.log(`📲 [push] ${notification?.title}: ${notification?.body} → ${tokens.length} device(s)`, data || {});
+  return { successCount: tokens.length, failures: [] };
+};
+
+module.exports = { name: 'console', send };
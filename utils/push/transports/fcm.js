@@ -0,0 +1,41 @@
+// Firebase Cloud Messaging transport
+// Credentials: FIREBASE_SERVICE_ACCOUNT (JSON string) or GOOGLE_APPLICATION_CREDENTIALS
+
+// Provider errors that mean the token will never work again
+const DEAD_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+let app = null;
+
+const getApp = () => {
+  if (app) return app;
+
+  const admin = require('firebase-admin');
+  const credential = process.env.FIREBASE_SERVICE_ACCOUNT
+    ? admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT))
+    : admin.credential.applicationDefault();
+
+  app = admin.initializeApp({ credential }, 'push');
+  return app;
+};
+
+const send = async ({ tokens, notification, data }) => {
+  const response = await getApp().messaging().sendEachForMulticast({ tokens, notification, data });
+
+  const failures = [];
+  response.responses.forEach((result, i) => {
+    if (result.success) return;
+    const code = result.error?.code;
+    failures.push({
+      token: tokens[i],
+      error: result.error?.message || code,
+      permanent: DEAD_TOKEN_CODES.includes(code)
+    });
+  });
+
+  return { successCount: response.successCount, failures };
+};
+
+module.exports = { name: 'fcm', send };
@@ -0,0 +1,12 @@
+// Development transport: appends each push as a JSON line (PUSH_FILE_PATH)
+const fs = require('fs');
+
+const send = async ({ tokens, notification, data }) => {
+  const filePath = process.env.PUSH_FILE_PATH || 'push-outbox.log';
+  const line = JSON.stringify({ sent_at: new Date().toISOString(), tokens, notification, data });
+
+  await fs.promises.appendFile(filePath, line + '\n');
+  return { successCount: tokens.length, failures: [] };
+};
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,78 @@
+// Dentist availability in clinic time: shared by the slots endpoint and booking.
+// Schedule times are wall-clock "HH:MM" in the clinic's timezone.
+const supabase = require('../supabase');
+
+const CLINIC_UTC_OFFSET = process.env.CLINIC_UTC_OFFSET || 'Z';
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// "YYYY-MM-DD" + minutes from midnight -> Date in clinic time
+const toDate = (day, minutes) => {
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return new Date(`${day}T${hh}:${mm}:00${CLINIC_UTC_OFFSET}`);
+};
+
+// Remove [start, end) from a list of free intervals
+const subtract = (intervals, start, end) =>
+  intervals.flatMap(([s, e]) => {
+    if (end <= s || start >= e) return [[s, e]];
+    const pieces = [];
+    if (start > s) pieces.push([s, start]);
+    if (end < e) pieces.push([end, e]);
+    return pieces;
+  });
+
+// Clinic calendar day ("YYYY-MM-DD") of an instant
+const clinicDay = (date) => {
+  const offsetMs = toDate('2000-01-01', 0).getTime() - Date.UTC(2000, 0, 1);
+  return new Date(new Date(date).getTime() - offsetMs).toISOString().slice(0, 10);
+};
+
+// Why the dentist can't see a patient in [start, end), or null when they can
+const findScheduleConflict = async (dentistId, start, end) => {
+  const day = clinicDay(start);
+  if (clinicDay(new Date(end.getTime() - 1)) !== day) return "Appointment must start and end on the same day";
+
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+
+  const [hours, breaks, timeOff] = await Promise.all([
+    supabase.from('dentist_working_hours').select('start_time, end_time').eq('dentist_id', dentistId).eq('weekday', weekday),
+    supabase.from('dentist_breaks').select('start_time, end_time').eq('dentist_id', dentistId).eq('weekday', weekday),
+    supabase
+      .from('dentist_time_off')
+      .select('id')
+      .or(`dentist_id.eq.${dentistId},dentist_id.is.null`)
+      .eq('date', day)
+      .limit(1)
+  ]);
+
+  const failed = [hours, breaks, timeOff].find(r => r.error);
+  if (failed) throw failed.error;
+
+  if (timeOff.data.length > 0) return "Dentist is not working that day";
+
+  const s = start.getTime();
+  const e = end.getTime();
+  const interval = (row) => [toDate(day, toMinutes(row.start_time)).getTime(), toDate(day, toMinutes(row.end_time)).getTime()];
+
+  const inHours = hours.data.map(interval).some(([hs, he]) => hs <= s && e <= he);
+  if (!inHours) return "Outside the dentist's working hours";
+
+  const inBreak = breaks.data.map(interval).some(([bs, be]) => s < be && e > bs);
+  if (inBreak) return "Overlaps the dentist's break";
+
+  return null;
+};
+
+module.exports = {
+  CLINIC_UTC_OFFSET,
+  toMinutes,
+  toDate,
+  subtract,
+  clinicDay,
+  findScheduleConflict
+};
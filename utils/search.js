@@ -0,0 +1,18 @@
+// Text search helpers for PostgREST or() filters
+
+// Characters that would break an or() filter are dropped
+const cleanTerm = (text) => String(text || '').replace(/[,()"*%\\]/g, ' ').trim();
+
+// Every word must appear in at least one column:
+//   q = applyTextSearch(q, 'john sm', ['firstname', 'lastname'])
+const applyTextSearch = (q, text, columns) => {
+  cleanTerm(text)
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach(word => {
+      q = q.or(columns.map(c => `${c}.ilike.*${word}*`).join(','));
+    });
+  return q;
+};
+
+module.exports = { cleanTerm, applyTextSearch };
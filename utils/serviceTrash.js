@@ -0,0 +1,151 @@
+// Soft delete / restore for services and categories.
+// Links removed together with a row get the same deleted_at stamp, so a restore
+// brings back exactly those links and nothing an admin unlinked by hand.
+const supabase = require('../supabase');
+
+const OPEN_APPOINTMENT_STATUSES = ['pending', 'confirmed'];
+
+const check = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+// Links trashed together with a row. Rows trashed before deleted_at existed have
+// no stamp (and eq.null is not a valid filter): take their unstamped deleted links.
+const sameDeletion = (q, deletedAt) => (
+  deletedAt ? q.eq('deleted_at', deletedAt) : q.is('deleted_at', null).eq('is_deleted', true)
+);
+
+// Open appointments / active installment plans that still point at a service
+const findServiceUsage = async (serviceId) => {
+  const appointments = check(await supabase
+    .from('appointments')
+    .select('id, patient_id, dentist_id, start_time, status')
+    .eq('service_id', serviceId)
+    .in('status', OPEN_APPOINTMENT_STATUSES)
+    .order('start_time', { ascending: true }));
+
+  const installmentPlans = check(await supabase
+    .from('installment_plans')
+    .select('id, patient_id, status, total_amount')
+    .eq('service_id', serviceId)
+    .eq('status', 'active'));
+
+  return { appointments, installment_plans: installmentPlans };
+};
+
+const softDeleteService = async (serviceId) => {
+  const deletedAt = new Date().toISOString();
+
+  check(await supabase
+    .from('services')
+    .update({ is_deleted: true, deleted_at: deletedAt })
+    .eq('id', serviceId));
+
+  const links = check(await supabase
+    .from('service_category_links')
+    .update({ is_deleted: true, deleted_at: deletedAt })
+    .eq('service_id', serviceId)
+    .eq('is_deleted', false)
+    .select('category_id'));
+
+  return { deletedAt, categoryIds: links.map(l => l.category_id) };
+};
+
+const restoreService = async (service) => {
+  check(await supabase
+    .from('services')
+    .update({ is_deleted: false, deleted_at: null })
+    .eq('id', service.id));
+
+  // Only relink to categories that are still around
+  const { data: liveCategories } = await supabase
+    .from('service_categories')
+    .select('id')
+    .eq('is_deleted', false);
+
+  const links = check(await sameDeletion(
+    supabase
+      .from('service_category_links')
+      .update({ is_deleted: false, deleted_at: null })
+      .eq('service_id', service.id),
+    service.deleted_at
+  )
+    .in('category_id', (liveCategories || []).map(c => c.id))
+    .select('category_id'));
+
+  return { categoryIds: links.map(l => l.category_id) };
+};
+
+// Services in the category fall back to "No Category"; they are not deleted
+const softDeleteCategory = async (categoryId) => {
+  const deletedAt = new Date().toISOString();
+
+  check(await supabase
+    .from('service_categories')
+    .update({ is_deleted: true, deleted_at: deletedAt, updated_at: deletedAt })
+    .eq('id', categoryId));
+
+  const links = check(await supabase
+    .from('service_category_links')
+    .update({ is_deleted: true, deleted_at: deletedAt })
+    .eq('category_id', categoryId)
+    .eq('is_deleted', false)
+    .select('service_id'));
+
+  return { deletedAt, serviceIds: links.map(l => l.service_id) };
+};
+
+const restoreCategory = async (category) => {
+  check(await supabase
+    .from('service_categories')
+    .update({ is_deleted: false, deleted_at: null, updated_at: new Date().toISOString() })
+    .eq('id', category.id));
+
+  const candidates = check(await sameDeletion(
+    supabase
+      .from('service_category_links')
+      .select('id, service_id')
+      .eq('category_id', category.id),
+    category.deleted_at
+  ));
+
+  if (candidates.length === 0) return { serviceIds: [] };
+
+  const serviceIds = candidates.map(l => l.service_id);
+
+  // A service has ONE category: skip services that are trashed or were linked elsewhere meanwhile
+  const liveServices = check(await supabase
+    .from('services')
+    .select('id')
+    .in('id', serviceIds)
+    .eq('is_deleted', false));
+
+  const relinked = check(await supabase
+    .from('service_category_links')
+    .select('service_id')
+    .in('service_id', serviceIds)
+    .eq('is_deleted', false));
+
+  const taken = new Set(relinked.map(l => l.service_id));
+  const live = new Set(liveServices.map(s => s.id));
+  const restorable = candidates.filter(l => live.has(l.service_id) && !taken.has(l.service_id));
+
+  if (restorable.length > 0) {
+    check(await supabase
+      .from('service_category_links')
+      .update({ is_deleted: false, deleted_at: null })
+      .in('id', restorable.map(l => l.id)));
+  }
+
+  return { serviceIds: restorable.map(l => l.service_id) };
+};
+
+module.exports = {
+  OPEN_APPOINTMENT_STATUSES,
+  findServiceUsage,
+  softDeleteService,
+  restoreService,
+  softDeleteCategory,
+  restoreCategory
+};
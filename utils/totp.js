@@ -0,0 +1,67 @@
+// TOTP (RFC 6238) helpers for authenticator apps: SHA-1, 6 digits, 30s steps
+const crypto = require('crypto');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    out += ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return out;
+};
+
+const base32Decode = (text) => {
+  const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+
+  let bits = '';
+  for (const char of clean) {
+    const index = ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// HOTP value for one time step
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(value).padStart(DIGITS, '0');
+};
+
+// Returns the matching step (to block replays) or null; allows ±window steps of clock drift
+const verifyCode = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const clean = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const step = currentStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = Buffer.from(codeForStep(secret, step + offset));
+    if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step + offset;
+  }
+  return null;
+};
+
+const otpauthUri = ({ secret, account, issuer }) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?secret=${secret}` +
+  `&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+module.exports = { generateSecret, codeForStep, currentStep, verifyCode, otpauthUri };